@@ -0,0 +1,37 @@
+import { MemoryListStore, FileListStore, SharedListStore } from './listStore.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'auditLog' });
+
+// One entry per admin request, kept in an append-only list store:
+//   record(entry)                     -> append an entry ({ at, actor, action, status, ... })
+//   list({ limit, offset, action })   -> { total, entries } newest first
+class AuditLog {
+  constructor(entries = new MemoryListStore()) {
+    this.entries = entries;
+  }
+
+  record(entry) {
+    return this.entries.append(entry);
+  }
+
+  async list({ limit = 50, offset = 0, action } = {}) {
+    const matching = (await this.entries.readAll()).filter(entry => !action || entry.action === action).reverse();
+    return { total: matching.length, entries: matching.slice(offset, offset + limit) };
+  }
+}
+
+function createAuditLog(options = {}) {
+  if (options.sharedState) {
+    return new AuditLog(new SharedListStore(options.sharedState, 'audit'));
+  }
+  if (process.env.GAME_STORE === 'memory') {
+    return new AuditLog();
+  }
+
+  const filePath = process.env.AUDIT_LOG_PATH || './data/audit.jsonl';
+  log.info('Recording admin actions', { filePath });
+  return new AuditLog(new FileListStore(filePath));
+}
+
+export { AuditLog, createAuditLog };
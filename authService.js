@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import { PublicKey } from '@solana/web3.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'auth' });
+
+// DER prefix for an ed25519 SubjectPublicKeyInfo, followed by the 32 raw key bytes
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+class AuthService {
+  constructor(options = {}) {
+    this.challengeTtl = options.challengeTtl || parseInt(process.env.AUTH_CHALLENGE_TTL_MS) || 2 * 60 * 1000; // 2 minutes
+    this.sessionTtl = options.sessionTtl || parseInt(process.env.AUTH_SESSION_TTL_MS) || 60 * 60 * 1000; // 1 hour
+
+    this.challenges = new Map(); // socketId -> pending challenge
+    this.sessions = new Map(); // socketId -> verified session
+  }
+
+  // Issue a fresh nonce for a socket; any previous challenge is replaced
+  createChallenge(socketId) {
+    const nonce = crypto.randomBytes(32).toString('hex');
+    const issuedAt = Date.now();
+    const message = `Sign in to Mines Game\nSocket: ${socketId}\nNonce: ${nonce}\nIssued: ${new Date(issuedAt).toISOString()}`;
+
+    const challenge = {
+      nonce,
+      message,
+      expiresAt: issuedAt + this.challengeTtl
+    };
+
+    this.challenges.set(socketId, challenge);
+    return challenge;
+  }
+
+  // Check the wallet's signature over the pending challenge and open a session
+  verifyChallenge(socketId, publicKeyString, signature) {
+    const challenge = this.challenges.get(socketId);
+    if (!challenge) throw new Error('No pending challenge');
+
+    // A challenge can only be answered once, whatever the outcome
+    this.challenges.delete(socketId);
+
+    if (Date.now() > challenge.expiresAt) throw new Error('Challenge expired');
+
+    let publicKey;
+    try {
+      publicKey = new PublicKey(publicKeyString);
+    } catch {
+      throw new Error('Invalid public key');
+    }
+
+    const signatureBytes = this.decodeSignature(signature);
+    if (!signatureBytes || signatureBytes.length !== 64) throw new Error('Invalid signature format');
+
+    const keyObject = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey.toBytes())]),
+      format: 'der',
+      type: 'spki'
+    });
+
+    const valid = crypto.verify(null, Buffer.from(challenge.message, 'utf8'), keyObject, signatureBytes);
+    if (!valid) throw new Error('Signature verification failed');
+
+    const session = {
+      playerId: publicKey.toBase58(),
+      socketId,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.sessionTtl
+    };
+
+    this.sessions.set(socketId, session);
+    log.info('Player authenticated', { playerId: session.playerId, socketId });
+    return session;
+  }
+
+  getSession(socketId) {
+    const session = this.sessions.get(socketId);
+    if (!session) return null;
+
+    if (Date.now() > session.expiresAt) {
+      this.sessions.delete(socketId);
+      return null;
+    }
+
+    return session;
+  }
+
+  // Returns the verified wallet for a socket or throws if there is none
+  requirePlayer(socketId) {
+    const session = this.getSession(socketId);
+    if (!session) {
+      const error = new Error('Not authenticated');
+      error.code = 'UNAUTHENTICATED';
+      throw error;
+    }
+    return session.playerId;
+  }
+
+  // Whether the wallet still has a live session on any socket
+  isPlayerConnected(playerId) {
+    for (const socketId of this.sessions.keys()) {
+      const session = this.getSession(socketId);
+      if (session && session.playerId === playerId) return true;
+    }
+    return false;
+  }
+
+  endSession(socketId) {
+    this.challenges.delete(socketId);
+    this.sessions.delete(socketId);
+  }
+
+  // Accepts raw bytes (Buffer, Uint8Array, number array) or a base64 string
+  decodeSignature(signature) {
+    if (!signature) return null;
+    if (typeof signature === 'string') return Buffer.from(signature, 'base64');
+    if (Array.isArray(signature) || signature instanceof Uint8Array) return Buffer.from(signature);
+    return null;
+  }
+}
+
+export { AuthService };
@@ -0,0 +1,70 @@
+import { ValidationError } from './errors.js';
+
+// Boards are `width` x `height` cells and every grid is indexed grid[x][y],
+// with x in 0..width-1 and y in 0..height-1.
+
+export const BOARD_LIMITS = {
+  minSide: 3,
+  maxSide: 12,
+  minBombs: 1,
+  // Share of the cells that may hold mines
+  maxBombRatio: 0.4
+};
+
+// Preset boards offered to clients; any other size within BOARD_LIMITS is accepted as well
+export const BOARD_PRESETS = [
+  { id: '3x3', label: 'Tiny', width: 3, height: 3, defaultBombs: 2 },
+  { id: '4x4', label: 'Small', width: 4, height: 4, defaultBombs: 3 },
+  { id: '5x5', label: 'Classic', width: 5, height: 5, defaultBombs: 5 },
+  { id: '6x4', label: 'Wide', width: 6, height: 4, defaultBombs: 5 },
+  { id: '8x8', label: 'Large', width: 8, height: 8, defaultBombs: 12 },
+  { id: '10x10', label: 'Huge', width: 10, height: 10, defaultBombs: 20 }
+];
+
+export function maxBombsFor(width, height) {
+  return Math.floor(width * height * BOARD_LIMITS.maxBombRatio);
+}
+
+export function getBoardCatalog() {
+  return {
+    limits: BOARD_LIMITS,
+    presets: BOARD_PRESETS.map(preset => ({
+      ...preset,
+      minBombs: BOARD_LIMITS.minBombs,
+      maxBombs: maxBombsFor(preset.width, preset.height)
+    }))
+  };
+}
+
+// Parse "WxH" into dimensions, or throw
+export function parseBoardSize(size) {
+  const match = typeof size === 'string' ? /^(\d{1,2})x(\d{1,2})$/.exec(size) : null;
+  if (!match) {
+    throw new ValidationError('INVALID_SIZE', 'size must look like "5x5" or "6x4"');
+  }
+
+  const width = parseInt(match[1]);
+  const height = parseInt(match[2]);
+  const { minSide, maxSide } = BOARD_LIMITS;
+  if (width < minSide || width > maxSide || height < minSide || height > maxSide) {
+    throw new ValidationError('INVALID_SIZE', `Board sides must be between ${minSide} and ${maxSide}`);
+  }
+
+  return { width, height };
+}
+
+// Build a validated board configuration from a size string and bomb count
+export function createBoard(size, bombs) {
+  const { width, height } = parseBoardSize(size);
+  const maxBombs = maxBombsFor(width, height);
+
+  if (!Number.isInteger(bombs) || bombs < BOARD_LIMITS.minBombs || bombs > maxBombs) {
+    throw new ValidationError('INVALID_BOMB_COUNT', `A ${width}x${height} board allows ${BOARD_LIMITS.minBombs}-${maxBombs} bombs`);
+  }
+
+  return { width, height, bombs };
+}
+
+export function createGrid(board, value) {
+  return Array(board.width).fill(null).map(() => Array(board.height).fill(value));
+}
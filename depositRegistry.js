@@ -0,0 +1,69 @@
+import { MemoryListStore, FileListStore } from './listStore.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'depositRegistry' });
+
+// Signatures of deposits already credited, so one transfer never pays for two seats or
+// entries, not even after a restart or on another instance. Both registries share one
+// async interface:
+//   has(signature)   -> whether the signature was claimed
+//   claim(signature) -> true when the signature was free and is now taken
+
+// Backed by an append-only list store; the signatures are read once into memory
+class DepositRegistry {
+  constructor(list = new MemoryListStore()) {
+    this.list = list;
+    this.loading = null;
+  }
+
+  ensureLoaded() {
+    if (!this.loading) {
+      this.loading = this.list.readAll().then(entries => new Set(entries.map(entry => entry.signature)));
+    }
+    return this.loading;
+  }
+
+  async has(signature) {
+    return (await this.ensureLoaded()).has(signature);
+  }
+
+  async claim(signature) {
+    const used = await this.ensureLoaded();
+    if (used.has(signature)) return false;
+
+    used.add(signature);
+    await this.list.append({ signature, usedAt: Date.now() });
+    return true;
+  }
+}
+
+// One key per signature in the shared state, claimed atomically by whichever instance gets there first
+class SharedDepositRegistry {
+  constructor(sharedState, instanceId) {
+    this.sharedState = sharedState;
+    this.instanceId = instanceId;
+  }
+
+  async has(signature) {
+    return (await this.sharedState.get(`deposit:${signature}`)) !== null;
+  }
+
+  claim(signature) {
+    return this.sharedState.setIfAbsent(`deposit:${signature}`, this.instanceId);
+  }
+}
+
+function createDepositRegistry(options = {}) {
+  if (options.sharedState) {
+    return new SharedDepositRegistry(options.sharedState, options.instanceId);
+  }
+  if (process.env.GAME_STORE === 'memory') {
+    return new DepositRegistry();
+  }
+
+  const filePath = process.env.DEPOSIT_REGISTRY_PATH || './data/deposits.jsonl';
+  log.info('Recording used deposit signatures', { filePath });
+  return new DepositRegistry(new FileListStore(filePath));
+}
+
+export { DepositRegistry, SharedDepositRegistry, createDepositRegistry };
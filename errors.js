@@ -0,0 +1,19 @@
+// Raised for client input that fails a schema or rule check; `code` is sent back in acknowledgements
+export class ValidationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = code;
+  }
+}
+
+// Raised when a client exceeds a rate or connection limit or is banned; `details` (such as
+// retryAfterMs or bannedUntil) is sent back alongside the code
+export class RateLimitError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.code = code;
+    this.details = details;
+  }
+}
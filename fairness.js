@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+
+// Commit-reveal scheme for bomb layouts.
+//
+// A layout (indexed bombs[x][y]) is encoded column by column as '0'/'1' characters with columns
+// joined by '/', e.g. "010/000/100".
+// commitment = sha256hex(`${salt}|${encodedLayout}`)
+//
+// Boards the server places for a player who ran out of time are derived from the game's server
+// seed, whose sha256 hash is published when the game is created and the seed itself at game end:
+//   salt   = hmacSha256hex(serverSeed, `salt:${gameId}:${round}:${playerId}`)
+//   layout = draw cells in x-major order ([0,0], [0,1], ...), where step i picks index
+//            uint32be(hmacSha256(serverSeed, `layout:${gameId}:${round}:${playerId}:${i}`)) % remaining
+
+const MIN_SALT_LENGTH = 16;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(seed, message) {
+  return crypto.createHmac('sha256', seed).update(message).digest();
+}
+
+export function encodeLayout(bombs) {
+  return bombs.map(column => column.map(cell => (cell === 1 ? '1' : '0')).join('')).join('/');
+}
+
+export function commitLayout(bombs, salt) {
+  return sha256(`${salt}|${encodeLayout(bombs)}`);
+}
+
+export function verifyCommitment(bombs, salt, commitment) {
+  if (typeof salt !== 'string' || salt.length < MIN_SALT_LENGTH) return false;
+  if (typeof commitment !== 'string') return false;
+  return commitLayout(bombs, salt) === commitment.toLowerCase();
+}
+
+export function createServerSeed() {
+  const seed = crypto.randomBytes(32).toString('hex');
+  return { seed, hash: sha256(seed) };
+}
+
+export function deriveSalt(serverSeed, gameId, round, playerId) {
+  return hmac(serverSeed, `salt:${gameId}:${round}:${playerId}`).toString('hex');
+}
+
+export function deriveLayout(serverSeed, gameId, round, playerId, width, height, bombCount) {
+  const bombs = Array(width).fill(null).map(() => Array(height).fill(0));
+  const positions = [];
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      positions.push([x, y]);
+    }
+  }
+
+  for (let i = 0; i < bombCount && positions.length > 0; i++) {
+    const index = hmac(serverSeed, `layout:${gameId}:${round}:${playerId}:${i}`).readUInt32BE(0) % positions.length;
+    const [x, y] = positions.splice(index, 1)[0];
+    bombs[x][y] = 1;
+  }
+
+  return bombs;
+}
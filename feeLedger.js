@@ -0,0 +1,37 @@
+import { MemoryListStore, FileListStore, SharedListStore } from './listStore.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'feeLedger' });
+
+// One record per settled game or tournament that paid a house fee, kept in an append-only list store:
+//   record(entry)       -> append a fee record ({ gameId, collectedAt, rake, ... })
+//   query({ from, to }) -> records collected in [from, to] (ms timestamps, both optional)
+class FeeLedger {
+  constructor(list = new MemoryListStore()) {
+    this.list = list;
+  }
+
+  record(entry) {
+    return this.list.append(entry);
+  }
+
+  async query({ from, to } = {}) {
+    const entries = await this.list.readAll();
+    return entries.filter(entry => (from === undefined || entry.collectedAt >= from) && (to === undefined || entry.collectedAt <= to));
+  }
+}
+
+function createFeeLedger(options = {}) {
+  if (options.sharedState) {
+    return new FeeLedger(new SharedListStore(options.sharedState, 'fees'));
+  }
+  if (process.env.GAME_STORE === 'memory') {
+    return new FeeLedger();
+  }
+
+  const filePath = process.env.FEE_LEDGER_PATH || './data/fees.jsonl';
+  log.info('Recording house fees', { filePath });
+  return new FeeLedger(new FileListStore(filePath));
+}
+
+export { FeeLedger, createFeeLedger };
@@ -0,0 +1,53 @@
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'feePolicy' });
+
+const LAMPORTS_PER_SOL = 1000000000;
+
+// House fee ("rake") taken from the pot at settlement, plus a reserve that keeps enough SOL in
+// the game wallet to pay the network fee of every transfer out of it.
+//
+//   HOUSE_FEE_PERCENT             share of the pot, e.g. 2.5 (default 0)
+//   HOUSE_FEE_MIN_SOL             fixed minimum fee per settled game (default 0)
+//   TREASURY_WALLET               where the fee is sent; without it no fee is taken
+//   NETWORK_FEE_RESERVE_LAMPORTS  reserved per outgoing transfer (default 5000)
+class FeePolicy {
+  constructor(options = {}) {
+    this.percent = options.percent ?? (parseFloat(process.env.HOUSE_FEE_PERCENT) || 0);
+    this.minimum = options.minimum ?? (parseFloat(process.env.HOUSE_FEE_MIN_SOL) || 0);
+    this.treasury = options.treasury ?? (process.env.TREASURY_WALLET || null);
+    this.networkFeeLamports = options.networkFeeLamports ?? (parseInt(process.env.NETWORK_FEE_RESERVE_LAMPORTS) || 5000);
+
+    if (!(this.percent >= 0 && this.percent < 100)) throw new Error('HOUSE_FEE_PERCENT must be between 0 and 100');
+    if (!(this.minimum >= 0)) throw new Error('HOUSE_FEE_MIN_SOL must not be negative');
+
+    if (!this.treasury && (this.percent > 0 || this.minimum > 0)) {
+      log.warn('House fee configured without TREASURY_WALLET; no fee will be taken');
+    }
+  }
+
+  get enabled() {
+    return Boolean(this.treasury) && (this.percent > 0 || this.minimum > 0);
+  }
+
+  // Split a pot paid out to `recipients` players into { rake, networkReserve, distributable } (SOL)
+  apply(pot, recipients) {
+    const potLamports = Math.round(pot * LAMPORTS_PER_SOL);
+    const transfers = recipients + (this.enabled ? 1 : 0);
+    const reserveLamports = Math.min(transfers * this.networkFeeLamports, potLamports);
+
+    let rakeLamports = 0;
+    if (this.enabled) {
+      rakeLamports = Math.max(Math.floor(potLamports * this.percent / 100), Math.round(this.minimum * LAMPORTS_PER_SOL));
+      rakeLamports = Math.min(rakeLamports, potLamports - reserveLamports);
+    }
+
+    return {
+      rake: rakeLamports / LAMPORTS_PER_SOL,
+      networkReserve: reserveLamports / LAMPORTS_PER_SOL,
+      distributable: (potLamports - reserveLamports - rakeLamports) / LAMPORTS_PER_SOL
+    };
+  }
+}
+
+export { FeePolicy };
@@ -0,0 +1,131 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'gameArchive' });
+
+// Finished games are archived once and never change afterwards. Archives share one async interface:
+//   add(record)                       -> store a finished game record
+//   get(gameId)                       -> one record or null
+//   listByPlayer(playerId, { limit, offset }) -> { total, games } newest first
+
+function byEndedAtDesc(a, b) {
+  return b.endedAt - a.endedAt;
+}
+
+class MemoryGameArchive {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async add(record) {
+    this.records.set(record.id, structuredClone(record));
+  }
+
+  async get(gameId) {
+    const record = this.records.get(gameId);
+    return record ? structuredClone(record) : null;
+  }
+
+  async listByPlayer(playerId, { limit = 20, offset = 0 } = {}) {
+    const games = Array.from(this.records.values())
+      .filter(record => record.players.includes(playerId))
+      .sort(byEndedAtDesc);
+
+    return { total: games.length, games: games.slice(offset, offset + limit).map(record => structuredClone(record)) };
+  }
+}
+
+// Append-only JSON lines file, read into memory on first use
+class FileGameArchive extends MemoryGameArchive {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.filePath, 'utf8')
+        .then(contents => {
+          for (const line of contents.split('\n').filter(Boolean)) {
+            const record = JSON.parse(line);
+            this.records.set(record.id, record);
+          }
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+    }
+    return this.loaded;
+  }
+
+  async add(record) {
+    await this.ensureLoaded();
+    await super.add(record);
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.appendFile(this.filePath, JSON.stringify(record) + '\n');
+      });
+
+    return this.writeQueue;
+  }
+
+  async get(gameId) {
+    await this.ensureLoaded();
+    return super.get(gameId);
+  }
+
+  async listByPlayer(playerId, options) {
+    await this.ensureLoaded();
+    return super.listByPlayer(playerId, options);
+  }
+}
+
+// Shared by every instance of a cluster (see sharedState.js): records live in one hash and each
+// player has a list of their game ids in the order the games were archived
+class SharedGameArchive {
+  constructor(sharedState, hash = 'archive') {
+    this.sharedState = sharedState;
+    this.hash = hash;
+  }
+
+  playerList(playerId) {
+    return `${this.hash}:player:${playerId}`;
+  }
+
+  async add(record) {
+    await this.sharedState.hset(this.hash, record.id, JSON.stringify(record));
+    await Promise.all(record.players.map(playerId => this.sharedState.rpush(this.playerList(playerId), record.id)));
+  }
+
+  async get(gameId) {
+    const record = await this.sharedState.hget(this.hash, gameId);
+    return record ? JSON.parse(record) : null;
+  }
+
+  async listByPlayer(playerId, { limit = 20, offset = 0 } = {}) {
+    const gameIds = (await this.sharedState.lrange(this.playerList(playerId), 0, -1)).reverse();
+    const games = await Promise.all(gameIds.slice(offset, offset + limit).map(gameId => this.get(gameId)));
+    return { total: gameIds.length, games: games.filter(Boolean).sort(byEndedAtDesc) };
+  }
+}
+
+function createGameArchive(options = {}) {
+  if (options.sharedState) {
+    return new SharedGameArchive(options.sharedState);
+  }
+  if (process.env.GAME_STORE === 'memory') {
+    return new MemoryGameArchive();
+  }
+
+  const filePath = process.env.GAME_ARCHIVE_PATH || './data/archive.jsonl';
+  log.info('Archiving finished games', { filePath });
+  return new FileGameArchive(filePath);
+}
+
+export { MemoryGameArchive, FileGameArchive, SharedGameArchive, createGameArchive };
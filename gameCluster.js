@@ -0,0 +1,323 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'cluster' });
+
+const leaseKey = gameId => `lease:game:${gameId}`;
+const roleKey = role => `lease:role:${role}`;
+
+// Lets several server instances share one set of games. Every instance keeps a replica of
+// every game (through SharedRecordStore), but exactly one instance owns each game at a time:
+// it holds the game's lease, runs its timers and settlement, and is the only one allowed to
+// change it. Other instances forward state changes to the owner with run(). Leases are
+// renewed by a heartbeat; when an instance dies its leases lapse and the next takeover sweep
+// of a surviving instance claims the game and recovers it like a restart would.
+//
+// Roles are jobs done by one instance for the whole cluster (hosting tournaments, recording
+// player stats). They are leased, renewed and taken over the same way as games, and runRole()
+// forwards to the holder.
+//
+// Emits:
+//   gameClaimed   { gameId }  (this instance took over a game from another one)
+//   gameReleased  { gameId }  (this instance lost the lease of a game it owned)
+//   roleClaimed   { role }    (this instance now holds the role)
+//   roleReleased  { role }    (this instance lost the role's lease)
+class GameCluster extends EventEmitter {
+  constructor(gameManager, sharedState, options = {}) {
+    super();
+    this.gameManager = gameManager;
+    this.sharedState = sharedState;
+    this.instanceId = options.instanceId || process.env.INSTANCE_ID || crypto.randomBytes(6).toString('hex');
+    this.log = log.child({ instanceId: this.instanceId });
+
+    this.leaseTtlMs = options.leaseTtlMs || parseInt(process.env.GAME_LEASE_TTL_MS) || 10 * 1000;
+    this.heartbeatMs = options.heartbeatMs || Math.floor(this.leaseTtlMs / 3);
+    this.takeoverMs = options.takeoverMs || Math.floor(this.leaseTtlMs / 2);
+    this.requestTimeoutMs = options.requestTimeoutMs || parseInt(process.env.CLUSTER_REQUEST_TIMEOUT_MS) || 5 * 1000;
+
+    this.owned = new Set(); // gameIds whose lease this instance holds
+    this.roles = new Map(); // role -> whether this instance holds it
+    this.services = new Map(); // name -> object whose methods run() may call
+    this.pending = new Map(); // requestId -> { resolve, reject, timeout }
+    this.heartbeatTimer = null;
+    this.takeoverTimer = null;
+
+    this.register('game', gameManager);
+    gameManager.ownership = this;
+
+    // Games created here belong here from the first moment, before the lease write lands
+    gameManager.on('gameCreated', ({ gameId }) => {
+      this.owned.add(gameId);
+      this.sharedState.setIfAbsent(leaseKey(gameId), this.instanceId, this.leaseTtlMs)
+        .then(claimed => {
+          if (!claimed) this.release(gameId, 'lease already held');
+        })
+        .catch(error => this.log.error('Error claiming game', { gameId, error }));
+    });
+
+    gameManager.on('gameRemoved', ({ gameId }) => {
+      if (!this.owned.delete(gameId)) return;
+      this.sharedState.deleteIfValue(leaseKey(gameId), this.instanceId).catch(error => {
+        this.log.error('Error releasing game', { gameId, error });
+      });
+    });
+  }
+
+  ownsGame(gameId) {
+    return this.owned.has(gameId);
+  }
+
+  // Expose a service to forwarded calls as `${name}.${method}`
+  register(name, target) {
+    this.services.set(name, target);
+  }
+
+  // Compete for a role; the sweep claims it whenever its lease is free
+  addRole(role) {
+    if (!this.roles.has(role)) this.roles.set(role, false);
+  }
+
+  holdsRole(role) {
+    return this.roles.get(role) === true;
+  }
+
+  async start() {
+    await this.sharedState.subscribe(`instance:${this.instanceId}`, message => this.handleMessage(JSON.parse(message)));
+    await this.sharedState.subscribe('cluster', message => this.handleMessage(JSON.parse(message)));
+    await this.gameManager.store.onChange(change => this.refreshReplica(change));
+
+    await this.takeOverRoles();
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatMs);
+    this.takeoverTimer = setInterval(() => {
+      this.takeOverOrphans();
+      this.takeOverRoles();
+    }, this.takeoverMs);
+    this.log.info('Cluster instance started', { leaseTtlMs: this.leaseTtlMs });
+  }
+
+  stop() {
+    clearInterval(this.heartbeatTimer);
+    clearInterval(this.takeoverTimer);
+  }
+
+  // Run `service.method(...args)` on the instance that owns the game and return its result.
+  // A game nobody owns (its instance died and no sweep has run yet) is claimed on the spot.
+  async run(gameId, path, ...args) {
+    if (this.ownsGame(gameId)) return this.invoke(path, args);
+
+    let owner = await this.sharedState.get(leaseKey(gameId));
+    if (!owner && await this.claim(gameId)) owner = this.instanceId;
+    if (!owner) owner = await this.sharedState.get(leaseKey(gameId));
+    if (owner === this.instanceId) return this.invoke(path, args);
+    if (!owner) throw this.clusterError('GAME_UNAVAILABLE', 'Game is moving between servers, please retry');
+
+    return this.request(owner, { type: 'request', gameId, path, args });
+  }
+
+  // Run `service.method(...args)` on the instance holding the role, claiming it when it is free
+  async runRole(role, path, ...args) {
+    if (this.holdsRole(role)) return this.invoke(path, args);
+
+    let holder = await this.sharedState.get(roleKey(role));
+    if (!holder && await this.claimRole(role)) return this.invoke(path, args);
+    if (!holder) holder = await this.sharedState.get(roleKey(role));
+    if (!holder || holder === this.instanceId) {
+      throw this.clusterError('ROLE_UNAVAILABLE', 'This service is moving between servers, please retry');
+    }
+
+    return this.request(holder, { type: 'request', role, path, args });
+  }
+
+  // Run `service.method(...args)` on every instance, this one included, without waiting for results
+  broadcast(path, ...args) {
+    this.invoke(path, args).catch(error => this.log.error('Error running cluster call', { path, error }));
+    this.sharedState.publish('cluster', JSON.stringify({ type: 'broadcast', from: this.instanceId, path, args }))
+      .catch(error => this.log.error('Error broadcasting cluster call', { path, error }));
+  }
+
+  async invoke(path, args) {
+    const [name, method] = path.split('.');
+    const service = this.services.get(name);
+    if (!service || typeof service[method] !== 'function') throw new Error(`Unknown cluster call ${path}`);
+    return service[method](...args);
+  }
+
+  request(instanceId, message) {
+    const id = crypto.randomUUID();
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.pending.delete(id);
+        reject(this.clusterError('CLUSTER_TIMEOUT', 'The server running this game did not answer'));
+      }, this.requestTimeoutMs);
+
+      this.pending.set(id, { resolve, reject, timeout });
+      this.sharedState.publish(`instance:${instanceId}`, JSON.stringify({ ...message, id, from: this.instanceId }))
+        .catch(error => {
+          clearTimeout(timeout);
+          this.pending.delete(id);
+          reject(error);
+        });
+    });
+  }
+
+  async handleMessage(message) {
+    if (message.type === 'broadcast') {
+      if (message.from === this.instanceId) return;
+      this.invoke(message.path, message.args).catch(error => this.log.error('Error running cluster call', { path: message.path, error }));
+      return;
+    }
+
+    if (message.type === 'reply') {
+      const entry = this.pending.get(message.id);
+      if (!entry) return;
+      clearTimeout(entry.timeout);
+      this.pending.delete(message.id);
+      if (message.error) {
+        entry.reject(this.clusterError(message.error.code, message.error.message, message.error.details));
+      } else {
+        entry.resolve(message.result);
+      }
+      return;
+    }
+
+    if (message.type === 'request') {
+      const reply = { type: 'reply', id: message.id };
+      try {
+        if (message.role ? !this.holdsRole(message.role) : !this.ownsGame(message.gameId)) {
+          throw this.clusterError('GAME_UNAVAILABLE', 'Game is moving between servers, please retry');
+        }
+        // Undefined results would vanish from the JSON reply
+        reply.result = (await this.invoke(message.path, message.args)) ?? null;
+      } catch (error) {
+        reply.error = { message: error.message, code: error.code, details: error.details };
+      }
+      this.sharedState.publish(`instance:${message.from}`, JSON.stringify(reply)).catch(error => {
+        this.log.error('Error replying to instance', { to: message.from, error });
+      });
+    }
+  }
+
+  clusterError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+  }
+
+  // Another instance changed or removed a game: bring the local replica up to date
+  async refreshReplica({ type, id: gameId }) {
+    if (this.ownsGame(gameId)) return;
+
+    try {
+      if (type === 'deleted') {
+        this.gameManager.games.delete(gameId);
+        this.gameManager.spectators.delete(gameId);
+        return;
+      }
+
+      const game = await this.gameManager.store.load(gameId);
+      if (game && !this.ownsGame(gameId)) {
+        this.gameManager.games.set(gameId, this.gameManager.migrateGame(game));
+      }
+    } catch (error) {
+      this.log.error('Error refreshing game', { gameId, error });
+    }
+  }
+
+  // Take a game whose lease has lapsed: reload the last saved state and restart it like after a restart
+  async claim(gameId) {
+    if (!await this.sharedState.setIfAbsent(leaseKey(gameId), this.instanceId, this.leaseTtlMs)) return false;
+
+    const game = await this.gameManager.store.load(gameId);
+    if (!game) {
+      await this.sharedState.deleteIfValue(leaseKey(gameId), this.instanceId);
+      return false;
+    }
+
+    this.gameManager.games.set(gameId, this.gameManager.migrateGame(game));
+    this.owned.add(gameId);
+    const outcome = this.gameManager.recoverGame(gameId);
+    this.log.info('Took over game', { gameId, outcome });
+    this.emit('gameClaimed', { gameId });
+    return true;
+  }
+
+  async takeOverOrphans() {
+    for (const [gameId, game] of this.gameManager.games.entries()) {
+      const phase = game.state.phase;
+      if (this.ownsGame(gameId) || phase === 'ended' || phase === 'refunded') continue;
+
+      try {
+        if (!await this.sharedState.get(leaseKey(gameId))) await this.claim(gameId);
+      } catch (error) {
+        this.log.error('Error taking over game', { gameId, error });
+      }
+    }
+  }
+
+  async claimRole(role) {
+    if (!await this.sharedState.setIfAbsent(roleKey(role), this.instanceId, this.leaseTtlMs)) return false;
+
+    this.roles.set(role, true);
+    this.log.info('Took over role', { role });
+    this.emit('roleClaimed', { role });
+    return true;
+  }
+
+  async takeOverRoles() {
+    for (const role of this.roles.keys()) {
+      if (this.holdsRole(role)) continue;
+
+      try {
+        if (!await this.sharedState.get(roleKey(role))) await this.claimRole(role);
+      } catch (error) {
+        this.log.error('Error taking over role', { role, error });
+      }
+    }
+  }
+
+  releaseRole(role, reason) {
+    if (!this.holdsRole(role)) return;
+    this.roles.set(role, false);
+    this.log.warn('Released role', { role, reason });
+    this.emit('roleReleased', { role });
+  }
+
+  async heartbeat() {
+    for (const role of this.roles.keys()) {
+      if (!this.holdsRole(role)) continue;
+
+      try {
+        if (!await this.sharedState.renewIfValue(roleKey(role), this.instanceId, this.leaseTtlMs)) {
+          this.releaseRole(role, 'lease lost');
+        }
+      } catch (error) {
+        this.log.error('Error renewing role lease', { role, error });
+      }
+    }
+
+    for (const gameId of this.owned) {
+      try {
+        if (!await this.sharedState.renewIfValue(leaseKey(gameId), this.instanceId, this.leaseTtlMs)) {
+          this.release(gameId, 'lease lost');
+        }
+      } catch (error) {
+        // Redis is unreachable; keep driving the game and try again on the next beat
+        this.log.error('Error renewing lease', { gameId, error });
+      }
+    }
+  }
+
+  // Stop driving a game another instance now owns
+  release(gameId, reason) {
+    if (!this.owned.delete(gameId)) return;
+    this.gameManager.clearTimer(gameId);
+    this.gameManager.clearGraceTimers(gameId);
+    this.log.warn('Released game', { gameId, reason });
+    this.emit('gameReleased', { gameId });
+  }
+}
+
+export { GameCluster };
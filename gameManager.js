@@ -1,68 +1,559 @@
-export class GameManager {
-  constructor() {
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { MemoryRecordStore } from './recordStore.js';
+import { MemoryGameArchive } from './gameArchive.js';
+import { FeePolicy } from './feePolicy.js';
+import { createBoard, createGrid } from './boardConfig.js';
+import { createServerSeed, deriveLayout, deriveSalt, commitLayout, verifyCommitment } from './fairness.js';
+import { logger } from './logger.js';
+import { ValidationError } from './errors.js';
+
+const log = logger.child({ component: 'gameManager' });
+
+// Invite codes avoid look-alike characters (0/O, 1/I/L) so they can be read out loud
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+const PLACEMENT_SECONDS = 10;
+const TURN_SECONDS = 5;
+
+// Share of the pot paid to each finishing position (1st, 2nd, ...)
+const PAYOUT_TABLES = {
+  'winner-takes-all': [1],
+  'top-two': [0.7, 0.3]
+};
+
+const LAMPORTS_PER_SOL = 1000000000;
+
+// Split `amount` SOL by weight in whole lamports. The shares add up to exactly the amount, so
+// nothing is stranded in the game wallet: the lamports lost to rounding go to the first entry.
+export function splitLamports(amount, entries) {
+  const total = Math.round(amount * LAMPORTS_PER_SOL);
+  const weights = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  const lamports = entries.map(entry => Math.floor(total * entry.weight / weights));
+  lamports[0] += total - lamports.reduce((sum, value) => sum + value, 0);
+  return entries.map((entry, index) => ({ playerId: entry.playerId, amount: lamports[index] / LAMPORTS_PER_SOL }));
+}
+
+// Every legal phase change. A game only ever moves forward through this table:
+// waiting -> placement -> gameplay -> settling -> ended | refunded
+// In match mode gameplay loops back to placement for each new round (board).
+const TRANSITIONS = {
+  waiting: ['placement', 'settling', 'ended'],
+  placement: ['gameplay', 'settling'],
+  gameplay: ['placement', 'settling'],
+  settling: ['ended', 'refunded'],
+  ended: [],
+  refunded: []
+};
+
+// GameManager is the single authority over game state. It emits:
+//   gameCreated   { gameId }
+//   phaseChanged  { gameId, from, to, state }
+//   tick          { gameId, timeLeft }
+//   turnChanged   { gameId, currentPlayer, round, turn, timeLeft }
+//   fieldRevealed { gameId, playerId, x, y, content }
+//   roundEnded    { gameId, result, scores }  (match mode only)
+//   playerEliminated { gameId, playerId, reason }
+//   gameEnded     { gameId, winner, winners, reason }  (winner is null when the game is cancelled and refunded)
+//   playerDisconnected { gameId, playerId, graceEndsAt, paused }
+//   playerReconnected  { gameId, playerId }
+//   playerLeft    { gameId, playerId, deposit }  (left a game before it started; deposit is theirs to refund, or null)
+//   gameResumed   { gameId, state }
+//   gameArchived  { gameId, record }
+//   spectatorsChanged { gameId, spectators }
+//   gameRemoved   { gameId }  (a finished game left memory and the store)
+//   moveRecorded  { gameId, move }  (every entry added to game.moves)
+export class GameManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
     this.games = new Map();
     this.timers = new Map();
+    this.store = options.store || new MemoryRecordStore();
+    this.feePolicy = options.feePolicy || new FeePolicy();
+    this.archive = options.archive || new MemoryGameArchive();
+    // Wraps the plaintext wallet secrets of games saved before secrets were encrypted
+    this.custody = options.custody || null;
+    // 'resume' restarts interrupted games after a restart, 'refund' cancels them and returns deposits
+    this.recoveryPolicy = options.recoveryPolicy || process.env.GAME_RECOVERY_POLICY || 'resume';
+    // How long a disconnected player has to come back before forfeiting, and whether the
+    // game clock stops meanwhile ('pause') or keeps running ('run')
+    this.reconnectGraceMs = options.reconnectGraceMs || parseInt(process.env.RECONNECT_GRACE_MS) || 30 * 1000;
+    this.reconnectGraceMode = options.reconnectGraceMode || process.env.RECONNECT_GRACE_MODE || 'pause';
+    this.graceTimers = new Map(); // `${gameId}:${playerId}` -> timeout
+    // Spectators are connections, not players: they are tracked by socket and never persisted
+    this.spectators = new Map(); // gameId -> Set of socketIds
+  }
+
+  // Whether this process drives the game: its timers, and every change written back to the store.
+  // A single server owns everything; in a cluster, GameCluster sets `ownership` and hands out
+  // one owner per game.
+  ownsGame(gameId) {
+    return this.ownership ? this.ownership.ownsGame(gameId) : true;
+  }
+
+  // Write the current snapshot of a game to the store; failures are logged, never thrown into gameplay.
+  // Replicas of games owned by another instance are never written back.
+  persist(gameId) {
+    const game = this.games.get(gameId);
+    if (!game || !this.ownsGame(gameId)) return;
+
+    this.store.save(game).catch(error => {
+      log.error('Error persisting game', { gameId, error });
+    });
+  }
+
+  // Reload persisted games after a restart and drive the ones this process owns back into the state machine
+  async restoreGames() {
+    const games = await this.store.loadAll();
+    const recovery = { resumed: 0, settling: 0, cancelled: 0 };
+
+    for (const game of games) {
+      const phase = game.state.phase;
+
+      if (phase === 'ended' || phase === 'refunded') {
+        this.store.delete(game.id).catch(error => {
+          log.error('Error deleting finished game', { gameId: game.id, error });
+        });
+        continue;
+      }
+
+      this.migrateGame(game);
+      this.games.set(game.id, game);
+
+      if (this.ownsGame(game.id)) {
+        const outcome = this.recoverGame(game.id);
+        if (outcome) recovery[outcome]++;
+      }
+    }
+
+    log.info('Restored games', { games: games.length, ...recovery });
+    return recovery;
+  }
+
+  // Bring a game saved by an older version up to the current shape
+  migrateGame(game) {
+    // Games persisted before boards had explicit dimensions
+    if (!game.board) {
+      game.board = createBoard(game.size, game.bombs);
+    }
+    if (!game.players) {
+      // Saved before free-for-all seating existed
+      game.players = [game.creator, game.opponent].filter(Boolean);
+      game.maxPlayers = 2;
+      game.payoutRule = 'winner-takes-all';
+      game.state.eliminated = [];
+      delete game.opponent;
+    }
+    if (game.payout && !game.payout.shares) {
+      game.payout.winners = [game.payout.winner];
+      game.payout.shares = [{ playerId: game.payout.winner, amount: game.payout.amount, signature: game.payout.signature }];
+    }
+    if (!game.moves) {
+      game.moves = [];
+    }
+    if (game.gameWalletSecret) {
+      // Saved with the wallet secret as a plaintext byte array; the next save drops it
+      if (this.custody) {
+        game.gameWalletKey = this.custody.rewrap(game.gameWalletSecret);
+        delete game.gameWalletSecret;
+      } else {
+        log.warn('Game wallet secret left unencrypted, no key custody configured', { gameId: game.id });
+      }
+    }
+    if (game.state.phase === 'settling' && !game.settlement) {
+      game.settlement = this.createSettlement(game.payout ? 'payout' : 'refund');
+    }
+    return game;
+  }
+
+  // Restart a game whose driver went away (a restart, or an instance that died) and
+  // report what was done: 'resumed', 'settling', 'cancelled' or null for nothing to do
+  recoverGame(gameId) {
+    const game = this.games.get(gameId);
+    if (!game) return null;
+
+    const phase = game.state.phase;
+    let outcome = null;
+
+    // Seat holds and disconnect grace windows do not survive a restart
+    game.seatReservations = {};
+    game.state.disconnectedPlayers = {};
+    game.state.paused = false;
+
+    if (phase === 'settling') {
+      // The outcome was decided but never settled; hand it back to whoever settles games
+      outcome = 'settling';
+      const winners = game.payout ? game.payout.winners : [];
+      this.emit('gameEnded', { gameId, winner: winners[0] || null, winners, reason: 'recovered' });
+    } else if (phase === 'placement' || phase === 'gameplay') {
+      if (this.recoveryPolicy === 'refund') {
+        outcome = 'cancelled';
+        this.finishGame(gameId, null, 'recovered');
+      } else if (phase === 'placement') {
+        outcome = 'resumed';
+        this.startPlacementTimer(gameId);
+      } else {
+        // The interrupted turn restarts with a full clock
+        outcome = 'resumed';
+        this.startTurnTimer(gameId);
+      }
+    }
+
+    this.persist(gameId);
+    return outcome;
+  }
+
+  // Move a game to a new phase, rejecting anything the transition table does not allow
+  transition(gameId, to) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error('Game not found');
+
+    const from = game.state.phase;
+    if (!TRANSITIONS[from] || !TRANSITIONS[from].includes(to)) {
+      throw new Error(`Illegal transition from ${from} to ${to}`);
+    }
+
+    game.state.phase = to;
+    this.persist(gameId);
+
+    log.info('Phase changed', { gameId, from, to });
+    this.emit('phaseChanged', { gameId, from, to, state: game.state });
+    return game;
   }
 
   createGame(gameData) {
     const gameId = this.generateGameId();
-    const gridSize = parseInt(gameData.size.charAt(0));
+    const board = createBoard(gameData.size, gameData.bombs);
+    const serverSeed = createServerSeed();
     
     const game = {
       id: gameId,
       creator: gameData.creator,
-      opponent: null,
-      size: gameData.size,
-      bombs: gameData.bombs,
-      betAmount: gameData.betAmount,
-      gameWallet: gameData.gameWallet,
-      gameWalletSecret: gameData.gameWalletSecret,
-      status: 'waiting', // This keeps the game in "open games" until someone joins
+      players: [gameData.creator], // Seat order, which is also turn order
+      maxPlayers: gameData.maxPlayers || 2,
+      payoutRule: gameData.payoutRule || 'winner-takes-all',
+      // Created by the matchmaker for players it paired; never listed in "open games"
+      matchmade: Boolean(gameData.matchmade),
+      // Private games are never listed; joining takes the invite code or a named wallet
+      private: Boolean(gameData.private),
+      inviteCode: gameData.private ? this.generateInviteCode() : null,
+      invitedPlayers: gameData.invitedPlayers || [],
+      // Zero-stake game against the server's bot, { difficulty, strategy }; see PracticeBots.
+      // Practice games hold no deposits and never reach SolanaService.
+      practice: gameData.practice || null,
+      // Match of a tournament, { id, matchId }; the entry fees were paid into the tournament's
+      // pool, so the game itself is played without a stake like a practice game
+      tournament: gameData.tournament || null,
+      size: `${board.width}x${board.height}`,
+      bombs: board.bombs,
+      board,
+      betAmount: gameData.practice || gameData.tournament ? 0 : gameData.betAmount,
+      // 'single' ends on the first bomb; 'match' plays `rounds` boards and is decided on score
+      mode: gameData.mode || 'single',
+      rounds: gameData.mode === 'match' ? gameData.rounds : 1,
+      gameWallet: gameData.gameWallet || null,
+      gameWalletKey: gameData.gameWalletKey || null, // Encrypted by SolanaService's key custody
+      // Becomes 'waiting' (listed in "open games") once the creator's deposit is verified
+      status: gameData.practice || gameData.tournament ? 'waiting' : 'awaiting-deposit',
       createdAt: Date.now(),
+      deposits: {},
+      seatReservations: {}, // playerId -> expiry of their hold on an open seat
       state: {
-        phase: 'placement',
+        phase: 'waiting',
         round: 1,
-        timeLeft: 30, // Increased placement time
+        turn: 1,
+        scores: { [gameData.creator]: 0 },
+        roundScores: { [gameData.creator]: 0 },
+        roundResults: [],
+        eliminated: [], // In elimination order
+        timeLeft: PLACEMENT_SECONDS,
         currentPlayer: gameData.creator,
         playerBombs: {},
-        revealedFields: Array(gridSize).fill(null).map(() => Array(gridSize).fill(false))
+        reveals: [],
+        disconnectedPlayers: {}, // playerId -> time their reconnect grace window closes
+        paused: false,
+        revealedFields: createGrid(board, false),
+        // Public half of the commit-reveal scheme, visible to both players throughout the game
+        fairness: {
+          serverSeedHash: serverSeed.hash,
+          commitments: {}
+        }
       },
       bothPlayersReady: false,
-      bombPlacements: {}
+      bombPlacements: {},
+      // Secret half, revealed only in the verification bundle once the game is over
+      fairness: {
+        serverSeed: serverSeed.seed,
+        salts: {},
+        autoPlaced: [],
+        rounds: [] // Layouts, salts and commitments of finished match rounds
+      },
+      // { winner, winners, pot, rake, networkReserve, treasury, amount, shares: [{ playerId, amount, signature? }], feeSignature? }
+      payout: null,
+      moves: [], // Append-only log of everything that happened, archived when the game ends
+      settlement: null // Set when the game enters 'settling', see SettlementService
     };
 
     this.games.set(gameId, game);
-    console.log(`Game ${gameId} created with wallet ${gameData.gameWallet}`);
+    this.emit('gameCreated', { gameId });
+    this.recordMove(gameId, 'created', { creator: game.creator, maxPlayers: game.maxPlayers, mode: game.mode });
+    log.info('Game created', { gameId, playerId: game.creator, gameWallet: gameData.gameWallet, mode: game.mode });
     return game;
   }
 
+  // Record a verified on-chain deposit; the creator's deposit opens the game to joiners
+  recordDeposit(gameId, playerId, deposit) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error('Game not found');
+    if (game.deposits[playerId]) throw new Error('Deposit already recorded');
+
+    game.deposits[playerId] = {
+      signature: deposit.signature,
+      amount: deposit.amount,
+      confirmedAt: Date.now()
+    };
+
+    if (playerId === game.creator && game.status === 'awaiting-deposit') {
+      game.status = 'waiting';
+    }
+
+    this.persist(gameId);
+
+    log.info('Deposit recorded', { gameId, playerId, signature: deposit.signature, amount: deposit.amount });
+    return game;
+  }
+
+  // Hold an open seat for a joiner while their deposit is signed and confirmed
+  reserveSeat(gameId, playerId, ttl = 2 * 60 * 1000) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error('Game not found');
+    // Matchmade games hold the opponent's seat before the creator has paid in
+    const open = game.status === 'waiting' || (game.matchmade && game.status === 'awaiting-deposit');
+    if (!open) throw new Error('Game is no longer available');
+    if (game.players.includes(playerId)) throw new Error('Already seated in this game');
+
+    this.pruneSeatHolds(game);
+    const otherHolds = Object.keys(game.seatReservations).filter(holder => holder !== playerId).length;
+    if (game.players.length + otherHolds >= game.maxPlayers) {
+      throw new Error('Other players are joining this game');
+    }
+
+    game.seatReservations[playerId] = Date.now() + ttl;
+    this.persist(gameId);
+    return { playerId, expiresAt: game.seatReservations[playerId] };
+  }
+
+  // Check a joiner still holds their seat before their deposit is verified. A lapsed hold is
+  // gone for good: the seat may already be someone else's, and a deposit sent for it would
+  // have nowhere to go.
+  requireSeatHold(gameId, playerId) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error('Game not found');
+    if (this.pruneSeatHolds(game)) this.persist(gameId);
+    if (!game.seatReservations[playerId]) {
+      throw new ValidationError('NO_SEAT_RESERVED', 'No seat reserved for this player, or the hold has expired');
+    }
+    return { playerId, expiresAt: game.seatReservations[playerId] };
+  }
+
+  // Drop expired holds; a hold never lapses once its deposit is in. Returns whether any was dropped.
+  pruneSeatHolds(game) {
+    const now = Date.now();
+    let pruned = false;
+    for (const [holder, expiresAt] of Object.entries(game.seatReservations)) {
+      if (expiresAt <= now && !game.deposits[holder]) {
+        delete game.seatReservations[holder];
+        pruned = true;
+      }
+    }
+    return pruned;
+  }
+
+  // Players whose deposit was recorded but who never got a seat (the game filled up while their
+  // deposit was confirming); settlement sends their deposits back whatever the outcome
+  getUnseatedDeposits(game) {
+    return Object.entries(game.deposits)
+      .filter(([playerId]) => !game.players.includes(playerId))
+      .map(([playerId, deposit]) => ({ playerId, ...deposit }));
+  }
+
+  // Seat a player whose deposit is confirmed; the game starts by itself once every seat is taken
   joinGame(gameId, playerId) {
     const game = this.games.get(gameId);
     if (!game) throw new Error('Game not found');
-    if (game.opponent) throw new Error('Game is full');
-    if (game.creator === playerId) throw new Error('Cannot join your own game');
+    if (game.players.length >= game.maxPlayers) throw new Error('Game is full');
+    if (game.players.includes(playerId)) throw new Error('Already seated in this game');
+    if (this.isStaked(game) && !game.deposits[playerId]) throw new Error('Deposit not confirmed');
+    if (game.deposits[playerId] && game.deposits[playerId].leftAt) throw new Error('You left this game; your deposit is refunded');
+    if (this.isStaked(game) && !game.deposits[game.creator]) throw new Error("Waiting for the creator's deposit");
 
-    game.opponent = playerId;
-    game.status = 'in-progress'; // This removes it from "open games"
+    game.players.push(playerId);
+    game.state.scores[playerId] = 0;
+    game.state.roundScores[playerId] = 0;
+    delete game.seatReservations[playerId];
+    if (game.players.length === game.maxPlayers) {
+      game.status = 'in-progress'; // This removes it from "open games"
+    }
     
     this.games.set(gameId, game);
-    console.log(`Player ${playerId} joined game ${gameId}`);
+    this.recordMove(gameId, 'joined', { playerId });
+    log.info('Player joined', { gameId, playerId, seatsFilled: game.players.length, seatsTotal: game.maxPlayers });
+
+    if (game.players.length === game.maxPlayers) {
+      this.startGame(gameId);
+    }
     return game;
   }
 
+  // Only games still open for joining answer to their code, so a code expires with its game
+  findGameByInviteCode(inviteCode) {
+    const code = String(inviteCode).toUpperCase();
+    for (const game of this.games.values()) {
+      if (game.inviteCode === code && game.status === 'waiting') return game;
+    }
+    return null;
+  }
+
+  // Whether a player may take a seat: anyone for public games, otherwise code holders and named wallets
+  canJoin(game, playerId, inviteCode) {
+    if (!game.private) return true;
+    if (game.invitedPlayers.includes(playerId)) return true;
+    return typeof inviteCode === 'string' && inviteCode.toUpperCase() === game.inviteCode;
+  }
+
+  // Games a wallet created that have not started yet
+  getOpenGameCount(playerId) {
+    return Array.from(this.games.values())
+      .filter(game => game.creator === playerId && (game.status === 'awaiting-deposit' || game.status === 'waiting'))
+      .length;
+  }
+
+  // Public games being played right now, for spectators to pick from
+  getLiveGames() {
+    return Array.from(this.games.values())
+      .filter(game => !game.private && (game.state.phase === 'placement' || game.state.phase === 'gameplay'))
+      .map(game => ({
+        id: game.id,
+        players: game.players,
+        size: game.size,
+        bombs: game.bombs,
+        betAmount: game.betAmount,
+        mode: game.mode,
+        round: game.state.round,
+        phase: game.state.phase,
+        spectators: this.getSpectatorCount(game.id)
+      }));
+  }
+
+  // Watch a game read-only. Private games need their invite code and players cannot watch their own game.
+  addSpectator(gameId, socketId, playerId = null, inviteCode = undefined) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error('Game not found');
+    const phase = game.state.phase;
+    if (phase === 'ended' || phase === 'refunded') throw new Error('Game is over');
+    if (playerId && game.players.includes(playerId)) throw new Error('Players cannot spectate their own game');
+    if (game.private && !this.canJoin(game, playerId, inviteCode)) throw new Error('This game is private');
+
+    if (!this.spectators.has(gameId)) this.spectators.set(gameId, new Set());
+    this.spectators.get(gameId).add(socketId);
+
+    this.emit('spectatorsChanged', { gameId, spectators: this.getSpectatorCount(gameId) });
+    return game;
+  }
+
+  removeSpectator(gameId, socketId) {
+    const watchers = this.spectators.get(gameId);
+    if (!watchers || !watchers.delete(socketId)) return false;
+    if (watchers.size === 0) this.spectators.delete(gameId);
+
+    this.emit('spectatorsChanged', { gameId, spectators: this.getSpectatorCount(gameId) });
+    return true;
+  }
+
+  // Returns the ids of the games the socket was watching
+  removeSpectatorEverywhere(socketId) {
+    const left = [];
+    for (const [gameId, watchers] of this.spectators.entries()) {
+      if (watchers.has(socketId)) left.push(gameId);
+    }
+    left.forEach(gameId => this.removeSpectator(gameId, socketId));
+    return left;
+  }
+
+  isSpectator(gameId, socketId) {
+    const watchers = this.spectators.get(gameId);
+    return Boolean(watchers && watchers.has(socketId));
+  }
+
+  getSpectatorCount(gameId) {
+    const watchers = this.spectators.get(gameId);
+    return watchers ? watchers.size : 0;
+  }
+
+  // Players holding a seat whose deposit is confirmed but who could not be seated yet because
+  // the creator had not deposited (matchmade games fund both sides at once)
+  getPendingJoiners(gameId) {
+    const game = this.games.get(gameId);
+    if (!game) return [];
+
+    return Object.keys(game.seatReservations)
+      .filter(playerId => game.deposits[playerId] && !game.players.includes(playerId));
+  }
+
+  // Once the creator has paid in, seat everyone whose deposit arrived first
+  seatPendingJoiners(gameId) {
+    for (const playerId of this.getPendingJoiners(gameId)) {
+      this.joinGame(gameId, playerId);
+    }
+    return this.games.get(gameId);
+  }
+
+  // Practice games and tournament matches are played for nothing: no deposits, no settlement
+  isStaked(game) {
+    return !game.practice && !game.tournament;
+  }
+
+  // Whether ending the game early goes through finishGame rather than straight to 'ended':
+  // deposits have to be settled, and started unstaked games hold none but cannot skip the phase
+  mustFinish(game) {
+    return Object.keys(game.deposits).length > 0 || (!this.isStaked(game) && game.state.phase !== 'waiting');
+  }
+
+  // Seated players that have not been eliminated, in seat order
+  getAlivePlayers(game) {
+    return game.players.filter(playerId => !game.state.eliminated.includes(playerId));
+  }
+
   getGame(gameId) {
     return this.games.get(gameId);
   }
 
+  // Games the player is seated in that have not finished yet
+  getPlayerGames(playerId) {
+    return Array.from(this.games.values()).filter(game =>
+      game.players.includes(playerId) &&
+      game.state.phase !== 'ended' && game.state.phase !== 'refunded'
+    );
+  }
+
   getOpenGames() {
     return Array.from(this.games.values())
-      .filter(game => game.status === 'waiting')
+      .filter(game => game.status === 'waiting' && !game.matchmade && !game.private && this.isStaked(game))
       .map(game => ({
         id: game.id,
         creator: game.creator,
         size: game.size,
+        width: game.board.width,
+        height: game.board.height,
         bombs: game.bombs,
         betAmount: game.betAmount,
+        mode: game.mode,
+        rounds: game.rounds,
+        payoutRule: game.payoutRule,
+        seatsFilled: game.players.length,
+        seatsTotal: game.maxPlayers,
+        spectators: this.getSpectatorCount(game.id),
         status: game.status,
         createdAt: game.createdAt
       }))
@@ -72,9 +563,16 @@ export class GameManager {
   startGame(gameId) {
     const game = this.games.get(gameId);
     if (!game) return;
+    if (game.players.length < game.maxPlayers) throw new Error('Game is not full yet');
+
+    this.transition(gameId, 'placement');
+    game.state.timeLeft = PLACEMENT_SECONDS;
+    this.recordMove(gameId, 'placementStarted', {});
+    this.startPlacementTimer(gameId);
+  }
 
-    // Start placement phase timer
-    this.startTimer(gameId, 10, () => {
+  startPlacementTimer(gameId, seconds = PLACEMENT_SECONDS) {
+    this.startTimer(gameId, seconds, () => {
       // Auto-place random bombs if players don't place them in time
       this.autoPlaceBombs(gameId);
       this.startGameplayPhase(gameId);
@@ -85,66 +583,116 @@ export class GameManager {
     const game = this.games.get(gameId);
     if (!game) return;
 
-    const gridSize = parseInt(game.size.charAt(0));
-    const players = [game.creator, game.opponent].filter(Boolean);
-
-    players.forEach(playerId => {
+    const { width, height, bombs: bombCount } = game.board;
+    game.players.forEach(playerId => {
       if (!game.bombPlacements[playerId]) {
-        // Auto-place random bombs
-        const bombs = Array(gridSize).fill(null).map(() => Array(gridSize).fill(0));
-        const positions = [];
-        
-        // Generate all possible positions
-        for (let x = 0; x < gridSize; x++) {
-          for (let y = 0; y < gridSize; y++) {
-            positions.push([x, y]);
-          }
-        }
-        
-        // Randomly select bomb positions
-        for (let i = 0; i < game.bombs; i++) {
-          if (positions.length > 0) {
-            const randomIndex = Math.floor(Math.random() * positions.length);
-            const [x, y] = positions.splice(randomIndex, 1)[0];
-            bombs[x][y] = 1;
-          }
-        }
-        
+        // Derive the board from the published server seed so it can be checked after the game
+        const bombs = deriveLayout(game.fairness.serverSeed, gameId, game.state.round, playerId, width, height, bombCount);
+        const salt = deriveSalt(game.fairness.serverSeed, gameId, game.state.round, playerId);
+
         game.bombPlacements[playerId] = bombs;
-        console.log(`Auto-placed bombs for player ${playerId} in game ${gameId}`);
+        game.fairness.salts[playerId] = salt;
+        game.fairness.autoPlaced.push(playerId);
+        game.state.fairness.commitments[playerId] = commitLayout(bombs, salt);
+        this.recordMove(gameId, 'placed', { playerId, auto: true, commitment: game.state.fairness.commitments[playerId] });
+        log.info('Bombs auto-placed', { gameId, playerId });
       }
     });
 
     game.bothPlayersReady = true;
+    this.persist(gameId);
   }
 
-  confirmBombPlacement(gameId, playerId, bombs) {
+  // Players submit their layout together with a salted commitment to it; the commitment is
+  // published to the other players straight away and the salt only at game end
+  confirmBombPlacement(gameId, playerId, bombs, salt, commitment) {
     const game = this.games.get(gameId);
-    if (!game) return;
+    if (!game) throw new Error('Game not found');
+    if (game.state.phase !== 'placement') throw new Error('Game not in placement phase');
+    if (!game.players.includes(playerId)) throw new Error('Not a player in this game');
+    if (game.bombPlacements[playerId]) throw new Error('Bombs already placed');
+    if (!verifyCommitment(bombs, salt, commitment)) throw new Error('Commitment does not match bomb layout');
 
     game.bombPlacements[playerId] = bombs;
-    console.log(`Player ${playerId} confirmed bomb placement in game ${gameId}`);
+    game.fairness.salts[playerId] = salt;
+    game.state.fairness.commitments[playerId] = commitment.toLowerCase();
+    this.recordMove(gameId, 'placed', { playerId, auto: false, commitment: game.state.fairness.commitments[playerId] });
+    log.info('Bomb placement confirmed', { gameId, playerId });
     
-    // Check if both players have placed bombs
+    // Check if every player has placed bombs
     const playerCount = Object.keys(game.bombPlacements).length;
-    if (playerCount === 2) {
+    if (playerCount === game.players.length) {
       game.bothPlayersReady = true;
       this.clearTimer(gameId);
       this.startGameplayPhase(gameId);
     }
   }
 
+  // Everything a client needs to recompute each commitment; only available once the game is decided
+  getVerificationBundle(gameId) {
+    const game = this.games.get(gameId);
+    if (!game) return null;
+
+    const phase = game.state.phase;
+    if (phase !== 'settling' && phase !== 'ended' && phase !== 'refunded') return null;
+
+    // Match rounds are archived as they finish; the board in play when the game ended is added here
+    const rounds = [...game.fairness.rounds];
+    if (!rounds.some(entry => entry.round === game.state.round)) {
+      rounds.push({ round: game.state.round, players: this.getRoundFairness(game) });
+    }
+
+    return {
+      gameId,
+      serverSeed: game.fairness.serverSeed,
+      serverSeedHash: game.state.fairness.serverSeedHash,
+      rounds
+    };
+  }
+
+  // Layout, salt and commitment of every player for the board currently in play
+  getRoundFairness(game) {
+    const players = {};
+    for (const [playerId, bombs] of Object.entries(game.bombPlacements)) {
+      players[playerId] = {
+        layout: bombs,
+        salt: game.fairness.salts[playerId],
+        commitment: game.state.fairness.commitments[playerId],
+        autoPlaced: game.fairness.autoPlaced.includes(playerId)
+      };
+    }
+    return players;
+  }
+
   startGameplayPhase(gameId) {
     const game = this.games.get(gameId);
     if (!game) return;
 
-    game.state.phase = 'gameplay';
-    game.state.timeLeft = 5; // 5 seconds per turn
-    game.state.currentPlayer = game.creator; // Start with creator
+    this.transition(gameId, 'gameplay');
+    game.state.timeLeft = TURN_SECONDS;
+    // The starting seat rotates each round: the creator starts round 1, the next seat round 2, ...
+    const alive = this.getAlivePlayers(game);
+    game.state.currentPlayer = alive[(game.state.round - 1) % alive.length];
+    this.recordMove(gameId, 'turnsStarted', { startingPlayer: game.state.currentPlayer });
     
-    console.log(`Starting gameplay phase for game ${gameId}`);
+    log.info('Gameplay started', { gameId, round: game.state.round });
     
-    this.startTimer(gameId, 5, () => {
+    this.emitTurnChanged(game);
+    this.startTurnTimer(gameId);
+  }
+
+  emitTurnChanged(game) {
+    this.emit('turnChanged', {
+      gameId: game.id,
+      currentPlayer: game.state.currentPlayer,
+      round: game.state.round,
+      turn: game.state.turn,
+      timeLeft: game.state.timeLeft
+    });
+  }
+
+  startTurnTimer(gameId, seconds = TURN_SECONDS) {
+    this.startTimer(gameId, seconds, () => {
       this.handleRoundTimeout(gameId);
     });
   }
@@ -153,102 +701,550 @@ export class GameManager {
     const game = this.games.get(gameId);
     if (!game) throw new Error('Game not found');
     if (game.state.phase !== 'gameplay') throw new Error('Game not in gameplay phase');
+    if (game.state.paused) throw new Error('Game is paused');
     if (game.state.currentPlayer !== playerId) throw new Error('Not your turn');
+    if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || x >= game.board.width || y >= game.board.height) {
+      throw new Error('Field out of bounds');
+    }
     if (game.state.revealedFields[x][y]) throw new Error('Field already revealed');
 
-    // Check if field has opponent's bomb
-    const opponentId = playerId === game.creator ? game.opponent : game.creator;
-    const opponentBombs = game.bombPlacements[opponentId];
-    
-    const hasBomb = opponentBombs && opponentBombs[x] && opponentBombs[x][y] === 1;
+    // A field is deadly if any other player mined it
+    const hitBy = game.players.filter(otherId =>
+      otherId !== playerId && game.bombPlacements[otherId] && game.bombPlacements[otherId][x][y] === 1
+    );
+    const hasBomb = hitBy.length > 0;
     const content = hasBomb ? 'bomb' : 'coin';
     
     game.state.revealedFields[x][y] = true;
+    game.state.reveals.push({ playerId, x, y, content, hitBy });
+    this.recordMove(gameId, 'reveal', { playerId, x, y, content, hitBy });
     
-    console.log(`Player ${playerId} revealed field [${x},${y}] with content: ${content}`);
+    log.debug('Field revealed', { gameId, playerId, x, y, content });
+    this.emit('fieldRevealed', { gameId, playerId, x, y, content, hitBy });
     
     if (hasBomb) {
-      // Player hit bomb - loses round
-      const winner = opponentId;
-      console.log(`Game ${gameId} ended. Winner: ${winner}`);
-      return { gameEnded: true, winner, content };
+      if (game.mode === 'match') {
+        // Hitting a bomb only ends the current round
+        this.endRound(gameId, playerId, 'bomb');
+        return { gameEnded: false, roundEnded: true, content };
+      }
+
+      // Player hit bomb - eliminated; the last survivor wins
+      return this.eliminatePlayer(gameId, playerId, 'bomb');
     }
 
-    // Continue game - switch turns
-    game.state.currentPlayer = opponentId;
-    game.state.round++;
-    game.state.timeLeft = 5;
-    
-    this.clearTimer(gameId);
-    this.startTimer(gameId, 5, () => {
-      this.handleRoundTimeout(gameId);
-    });
+    game.state.scores[playerId]++;
+    game.state.roundScores[playerId]++;
+
+    if (game.state.revealedFields.every(column => column.every(Boolean))) {
+      // Board cleared without anyone hitting a bomb
+      if (game.mode === 'match') {
+        this.endRound(gameId, null, 'cleared');
+        return { gameEnded: false, roundEnded: true, content };
+      }
+
+      // Every survivor shares the win
+      this.finishGame(gameId, this.getAlivePlayers(game), 'cleared');
+      return { gameEnded: true, content };
+    }
 
+    this.advanceTurn(gameId);
     return { gameEnded: false, content };
   }
 
-  handleRoundTimeout(gameId) {
+  // Pass the turn to the next surviving player in seat order
+  advanceTurn(gameId) {
     const game = this.games.get(gameId);
     if (!game) return;
 
-    console.log(`Round timeout in game ${gameId}. Current player: ${game.state.currentPlayer}`);
-    
-    // Current player loses due to timeout
-    const winner = game.state.currentPlayer === game.creator ? game.opponent : game.creator;
+    const seat = game.players.indexOf(game.state.currentPlayer);
+    for (let offset = 1; offset <= game.players.length; offset++) {
+      const candidate = game.players[(seat + offset) % game.players.length];
+      if (!game.state.eliminated.includes(candidate)) {
+        game.state.currentPlayer = candidate;
+        break;
+      }
+    }
+
+    game.state.turn++;
+    game.state.timeLeft = TURN_SECONDS;
+    this.persist(gameId);
+
+    this.emitTurnChanged(game);
+    this.startTurnTimer(gameId);
+  }
+
+  // Knock a player out of a free-for-all; ends the game once a single survivor is left
+  eliminatePlayer(gameId, playerId, reason) {
+    const game = this.games.get(gameId);
+    if (!game) return { gameEnded: false };
+
+    game.state.eliminated.push(playerId);
+    this.recordMove(gameId, 'eliminated', { playerId, reason });
+    log.info('Player eliminated', { gameId, playerId, reason });
+    this.emit('playerEliminated', { gameId, playerId, reason });
+
+    const alive = this.getAlivePlayers(game);
+    if (alive.length <= 1) {
+      this.finishGame(gameId, alive, reason);
+      return { gameEnded: true, winner: alive[0] || null, content: reason === 'bomb' ? 'bomb' : undefined };
+    }
+
+    if (game.state.phase === 'gameplay' && game.state.currentPlayer === playerId) {
+      this.advanceTurn(gameId);
+    }
+    return { gameEnded: false, content: reason === 'bomb' ? 'bomb' : undefined };
+  }
+
+  handleRoundTimeout(gameId) {
+    const game = this.games.get(gameId);
+    if (!game || game.state.phase !== 'gameplay') return;
+
+    log.info('Turn timed out', { gameId, playerId: game.state.currentPlayer });
+    this.recordMove(gameId, 'timeout', { playerId: game.state.currentPlayer });
     
-    console.log(`Game ${gameId} ended due to timeout. Winner: ${winner}`);
-    return { winner };
+    if (game.mode === 'match') {
+      // Running out of time counts like hitting a bomb: the round ends against the current player
+      this.endRound(gameId, game.state.currentPlayer, 'timeout');
+      return;
+    }
+
+    // Current player is eliminated due to timeout
+    this.eliminatePlayer(gameId, game.state.currentPlayer, 'timeout');
+  }
+
+  // Close the current match round. The player who hit a bomb or timed out (`loser`) forfeits the
+  // points they scored on this board. After the last round the match goes to the higher aggregate
+  // score, then to the player who won more rounds; a full tie is refunded.
+  endRound(gameId, loser, reason) {
+    const game = this.games.get(gameId);
+    if (!game) return;
+
+    this.clearTimer(gameId);
+    // Match mode is always head-to-head
+    const players = game.players;
+
+    if (loser) {
+      game.state.scores[loser] -= game.state.roundScores[loser];
+      game.state.roundScores[loser] = 0;
+    }
+
+    const [first, second] = players.map(playerId => game.state.roundScores[playerId]);
+    const result = {
+      round: game.state.round,
+      reason,
+      loser,
+      scores: { ...game.state.roundScores },
+      winner: first === second ? null : (first > second ? players[0] : players[1])
+    };
+    game.state.roundResults.push(result);
+
+    // Finished boards can be published right away
+    game.fairness.rounds.push({ round: game.state.round, players: this.getRoundFairness(game) });
+    this.recordMove(gameId, 'roundEnded', { loser, reason, winner: result.winner, scores: { ...game.state.scores } });
+
+    log.info('Round ended', { gameId, round: result.round, reason, scores: game.state.scores });
+    this.emit('roundEnded', { gameId, result, scores: game.state.scores });
+
+    if (game.state.round < game.rounds) {
+      this.startNextRound(gameId);
+      return;
+    }
+
+    const [firstScore, secondScore] = players.map(playerId => game.state.scores[playerId]);
+    let winner = null;
+    if (firstScore !== secondScore) {
+      winner = firstScore > secondScore ? players[0] : players[1];
+    } else {
+      const roundsWon = playerId => game.state.roundResults.filter(entry => entry.winner === playerId).length;
+      const [firstRounds, secondRounds] = players.map(roundsWon);
+      if (firstRounds !== secondRounds) {
+        winner = firstRounds > secondRounds ? players[0] : players[1];
+      }
+    }
+
+    this.finishGame(gameId, winner, winner ? 'match' : 'draw');
   }
 
-  endGame(gameId) {
+  // Reset the board and go back to placement for the next match round
+  startNextRound(gameId) {
     const game = this.games.get(gameId);
     if (!game) return;
 
-    game.status = 'completed';
-    game.state.phase = 'ended';
+    game.state.round++;
+    game.state.turn = 1;
+    game.state.revealedFields = createGrid(game.board, false);
+    game.state.reveals = [];
+    game.state.fairness.commitments = {};
+    for (const playerId of Object.keys(game.state.roundScores)) {
+      game.state.roundScores[playerId] = 0;
+    }
+    game.bombPlacements = {};
+    game.bothPlayersReady = false;
+    game.fairness.salts = {};
+    game.fairness.autoPlaced = [];
+
+    this.transition(gameId, 'placement');
+    game.state.timeLeft = PLACEMENT_SECONDS;
+    this.recordMove(gameId, 'placementStarted', {});
+    this.startPlacementTimer(gameId);
+  }
+
+  // Decide the outcome and hand the game over for settlement. `winner` is one player id, a list
+  // of co-winners, or null/empty to cancel the game and refund every deposit.
+  finishGame(gameId, winner, reason) {
+    const game = this.games.get(gameId);
+    if (!game) return;
+
+    const winners = winner ? [].concat(winner) : [];
+
+    this.transition(gameId, 'settling');
+    this.clearTimer(gameId);
+    this.clearGraceTimers(gameId);
+    game.state.paused = false;
+    game.status = 'settling';
+
+    if (!this.isStaked(game)) {
+      // Nothing was staked, so there is nothing to settle
+      this.recordMove(gameId, 'finished', { winners, reason });
+      log.info('Unstaked game finished', { gameId, winners, reason });
+      this.emit('gameEnded', { gameId, winner: winners[0] || null, winners, reason });
+      this.endGame(gameId, 'ended');
+      return;
+    }
+
+    if (winners.length > 0) {
+      // The house fee and the network fee reserve come off the pot before it is split
+      const pot = game.betAmount * game.players.length;
+      const recipients = this.computePayoutShares(game, winners, pot).length;
+      const fees = this.feePolicy.apply(pot, recipients);
+
+      game.payout = {
+        winner: winners[0],
+        winners,
+        pot,
+        rake: fees.rake,
+        networkReserve: fees.networkReserve,
+        treasury: fees.rake > 0 ? this.feePolicy.treasury : null,
+        amount: fees.distributable,
+        shares: this.computePayoutShares(game, winners, fees.distributable)
+      };
+    }
+    game.settlement = this.createSettlement(winners.length > 0 ? 'payout' : 'refund');
+    this.recordMove(gameId, 'finished', { winners, reason });
+
+    log.info(winners.length ? 'Game won' : 'Game cancelled', { gameId, winners, reason });
+    this.emit('gameEnded', { gameId, winner: winners[0] || null, winners, reason });
+  }
+
+  // Split the pot. Co-winners share it evenly; otherwise the game's payout table is applied to
+  // the finishing order (winner first, then players by how late they were eliminated).
+  computePayoutShares(game, winners, pot) {
+    if (winners.length > 1) {
+      return splitLamports(pot, winners.map(playerId => ({ playerId, weight: 1 })));
+    }
+
+    const ranking = [...winners, ...[...game.state.eliminated].reverse().filter(playerId => !winners.includes(playerId))];
+    const table = PAYOUT_TABLES[game.payoutRule] || PAYOUT_TABLES['winner-takes-all'];
+
+    return splitLamports(pot, table
+      .map((weight, position) => ({ playerId: ranking[position], weight }))
+      .filter(entry => entry.playerId));
+  }
+
+  // Close a settled game: 'ended' after a payout, 'refunded' after deposits were returned
+  endGame(gameId, outcome = 'ended') {
+    const game = this.games.get(gameId);
+    if (!game) return;
+
+    this.transition(gameId, outcome);
+    game.status = outcome === 'refunded' ? 'refunded' : 'completed';
+    this.recordMove(gameId, 'ended', { outcome });
     
     this.clearTimer(gameId);
+    this.archiveGame(game);
     
-    console.log(`Game ${gameId} ended and cleaned up`);
+    log.info('Game ended', { gameId, outcome });
     
     // Clean up after a delay to allow final messages
     setTimeout(() => {
       this.games.delete(gameId);
+      this.spectators.delete(gameId);
+      this.store.delete(gameId).catch(error => {
+        log.error('Error deleting game', { gameId, error });
+      });
+      this.emit('gameRemoved', { gameId });
     }, 5000);
   }
 
-  exitGame(gameId, playerId) {
+  // Append to the game's move log; every entry carries its time and round
+  recordMove(gameId, type, details = {}) {
     const game = this.games.get(gameId);
     if (!game) return;
 
-    console.log(`Player ${playerId} exiting game ${gameId}`);
+    const move = { type, at: Date.now(), round: game.state.round, ...details };
+    game.moves.push(move);
+    this.persist(gameId);
+    this.emit('moveRecorded', { gameId, move });
+  }
 
-    if (game.creator === playerId && !game.opponent) {
-      // Creator leaves before anyone joins - just delete the game
-      this.endGame(gameId);
-    } else if (game.creator === playerId || game.opponent === playerId) {
-      // Player leaves during active game - opponent wins by forfeit
-      const winner = game.creator === playerId ? game.opponent : game.creator;
-      console.log(`Player ${playerId} forfeited. Winner: ${winner}`);
-      // Handle forfeit payout if needed
+  // Keep a permanent record of a finished game, including every layout and salt
+  archiveGame(game) {
+    // Games closed before anyone paid in are not worth keeping, except tournament matches,
+    // whose stake sits in the tournament's pool
+    if (Object.keys(game.deposits).length === 0 && !game.tournament) return;
+
+    const finished = game.moves.findLast(move => move.type === 'finished');
+    const record = {
+      id: game.id,
+      creator: game.creator,
+      players: game.players,
+      board: game.board,
+      mode: game.mode,
+      rounds: game.rounds,
+      betAmount: game.betAmount,
+      payoutRule: game.payoutRule,
+      tournament: game.tournament,
+      gameWallet: game.gameWallet,
+      outcome: game.status,
+      winners: finished ? finished.winners : [],
+      createdAt: game.createdAt,
+      endedAt: Date.now(),
+      deposits: game.deposits,
+      payout: game.payout,
+      settlement: game.settlement,
+      roundResults: game.state.roundResults,
+      verification: this.getVerificationBundle(game.id),
+      moves: game.moves
+    };
+
+    this.archive.add(record).catch(error => {
+      log.error('Error archiving game', { gameId: game.id, error });
+    });
+    this.emit('gameArchived', { gameId: game.id, record });
+  }
+
+  createSettlement(type) {
+    const now = Date.now();
+    return { type, status: 'pending', attempts: 0, lastError: null, nextAttemptAt: null, createdAt: now, updatedAt: now };
+  }
+
+  // Track settlement progress so an interrupted payout or refund can be retried after a restart
+  recordSettlement(gameId, changes) {
+    const game = this.games.get(gameId);
+    if (!game) return;
+
+    game.settlement = { ...game.settlement, ...changes, updatedAt: Date.now() };
+    this.persist(gameId);
+  }
+
+  // Moderation: stop a game that is still being played. 'refund' cancels it and returns every
+  // deposit; 'winners' pays the pot to the listed seated players as if they had won.
+  forceEndGame(gameId, { outcome, winners = [] } = {}) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error('Game not found');
+    const phase = game.state.phase;
+    if (phase !== 'waiting' && phase !== 'placement' && phase !== 'gameplay') throw new Error('Game is already over');
+
+    if (outcome === 'winners') {
+      if (phase === 'waiting') throw new Error('A game that has not started can only be refunded');
+      if (winners.length === 0 || winners.some(playerId => !game.players.includes(playerId))) {
+        throw new Error('Winners must be players seated in the game');
+      }
+    }
+
+    this.recordMove(gameId, 'forceEnded', { outcome, winners });
+    if (outcome === 'winners') {
+      this.finishGame(gameId, winners, 'admin');
+    } else if (this.mustFinish(game)) {
+      this.finishGame(gameId, null, 'admin');
+    } else {
       this.endGame(gameId);
     }
+    return game;
   }
 
+  exitGame(gameId, playerId) {
+    const game = this.games.get(gameId);
+    if (!game) return;
+
+    log.info('Player exiting', { gameId, playerId });
+
+    const phase = game.state.phase;
+    if (phase !== 'waiting' && phase !== 'placement' && phase !== 'gameplay') return;
+
+    if (!game.players.includes(playerId)) {
+      // Only holding a seat reservation
+      delete game.seatReservations[playerId];
+      this.persist(gameId);
+      return;
+    }
+
+    if (phase === 'waiting' && playerId !== game.creator) {
+      this.leaveSeat(game, playerId);
+    } else if (phase === 'waiting') {
+      // The creator leaving before the start cancels the game and every deposit is refunded,
+      // or the game is just closed if nothing was deposited yet
+      if (Object.keys(game.deposits).length > 0) {
+        this.finishGame(gameId, null, 'cancelled');
+      } else {
+        this.endGame(gameId);
+      }
+    } else if (game.mode === 'match') {
+      // Player leaves during a match - the other player wins by forfeit
+      const winner = game.players.find(otherId => otherId !== playerId);
+      log.info('Player forfeited', { gameId, playerId, winner });
+      this.recordMove(gameId, 'forfeit', { playerId });
+      this.finishGame(gameId, winner, 'forfeit');
+    } else if (!game.state.eliminated.includes(playerId)) {
+      // Player leaves during active game - they are out, and the last survivor wins
+      log.info('Player forfeited', { gameId, playerId });
+      this.recordMove(gameId, 'forfeit', { playerId });
+      this.eliminatePlayer(gameId, playerId, 'forfeit');
+    }
+  }
+
+  // A joiner leaving before the start frees their seat and the game stays open for others.
+  // Their deposit stays on record, marked as left, until the refund goes out.
+  leaveSeat(game, playerId) {
+    game.players = game.players.filter(seated => seated !== playerId);
+    delete game.state.scores[playerId];
+    delete game.state.roundScores[playerId];
+    delete game.state.disconnectedPlayers[playerId];
+    const deposit = game.deposits[playerId] || null;
+    if (deposit) deposit.leftAt = Date.now();
+
+    this.recordMove(game.id, 'left', { playerId });
+    log.info('Player left before the start', { gameId: game.id, playerId, seatsFilled: game.players.length });
+    this.emit('playerLeft', { gameId: game.id, playerId, deposit });
+  }
+
+  // A dropped player gets a grace window to come back; only when it closes do they forfeit
   handlePlayerDisconnect(playerId) {
-    console.log(`Handling disconnect for player ${playerId}`);
+    log.debug('Handling disconnect', { playerId });
     
-    // Handle player disconnection
     for (const [gameId, game] of this.games.entries()) {
-      if (game.creator === playerId || game.opponent === playerId) {
-        console.log(`Player ${playerId} disconnected from game ${gameId}`);
-        this.exitGame(gameId, playerId);
+      if (!game.players.includes(playerId) || !this.ownsGame(gameId)) continue;
+
+      const phase = game.state.phase;
+      if (phase !== 'waiting' && phase !== 'placement' && phase !== 'gameplay') continue;
+      // Eliminated players are only watching; the others play on without them
+      if (game.state.eliminated.includes(playerId)) continue;
+
+      log.info('Player disconnected', { gameId, playerId, graceMs: this.reconnectGraceMs });
+      const graceEndsAt = Date.now() + this.reconnectGraceMs;
+      game.state.disconnectedPlayers[playerId] = graceEndsAt;
+      this.recordMove(gameId, 'disconnected', { playerId });
+
+      if (this.reconnectGraceMode === 'pause' && phase !== 'waiting' && !game.state.paused) {
+        // Freeze the clock where it stands; resumeGame restarts it with the time that was left
+        this.clearTimer(gameId);
+        game.state.paused = true;
+      }
+      this.persist(gameId);
+
+      const key = `${gameId}:${playerId}`;
+      clearTimeout(this.graceTimers.get(key));
+      this.graceTimers.set(key, setTimeout(() => {
+        this.graceTimers.delete(key);
+        this.handleGraceExpired(gameId, playerId);
+      }, this.reconnectGraceMs));
+
+      this.emit('playerDisconnected', { gameId, playerId, graceEndsAt, paused: game.state.paused });
+    }
+  }
+
+  // Returns the games the player was disconnected from and has now rejoined
+  handlePlayerReconnect(playerId) {
+    const rejoined = [];
+
+    for (const [gameId, game] of this.games.entries()) {
+      if (!game.state.disconnectedPlayers || !game.state.disconnectedPlayers[playerId]) continue;
+      if (!this.ownsGame(gameId)) continue;
+
+      const key = `${gameId}:${playerId}`;
+      clearTimeout(this.graceTimers.get(key));
+      this.graceTimers.delete(key);
+      delete game.state.disconnectedPlayers[playerId];
+      this.recordMove(gameId, 'reconnected', { playerId });
+
+      log.info('Player reconnected', { gameId, playerId });
+      if (game.state.paused && Object.keys(game.state.disconnectedPlayers).length === 0) {
+        this.resumeGame(gameId);
       }
+      this.persist(gameId);
+
+      this.emit('playerReconnected', { gameId, playerId });
+      rejoined.push(game);
     }
+
+    return rejoined;
+  }
+
+  resumeGame(gameId) {
+    const game = this.games.get(gameId);
+    if (!game) return;
+
+    game.state.paused = false;
+    const seconds = Math.max(game.state.timeLeft, 1);
+    if (game.state.phase === 'placement') {
+      this.startPlacementTimer(gameId, seconds);
+    } else if (game.state.phase === 'gameplay') {
+      this.startTurnTimer(gameId, seconds);
+    }
+
+    log.info('Game resumed', { gameId, seconds });
+    this.emit('gameResumed', { gameId, state: game.state });
+  }
+
+  handleGraceExpired(gameId, playerId) {
+    const game = this.games.get(gameId);
+    if (!game || !game.state.disconnectedPlayers[playerId]) return;
+
+    log.info('Reconnect grace expired', { gameId, playerId });
+    delete game.state.disconnectedPlayers[playerId];
+    this.exitGame(gameId, playerId);
+
+    // With three or more players the game can continue without them
+    const phase = game.state.phase;
+    if (game.state.paused && (phase === 'placement' || phase === 'gameplay') &&
+        Object.keys(game.state.disconnectedPlayers).length === 0) {
+      this.resumeGame(gameId);
+    }
+  }
+
+  clearGraceTimers(gameId) {
+    for (const [key, timeoutId] of this.graceTimers.entries()) {
+      if (key.startsWith(`${gameId}:`)) {
+        clearTimeout(timeoutId);
+        this.graceTimers.delete(key);
+      }
+    }
+  }
+
+  // The parts of a game only this player may see: their own board and the salt committing to it
+  getPrivateView(gameId, playerId) {
+    const game = this.games.get(gameId);
+    if (!game) return null;
+
+    return {
+      yourBombs: game.bombPlacements[playerId] || null,
+      yourSalt: game.fairness.salts[playerId] || null
+    };
   }
 
   startTimer(gameId, seconds, onComplete) {
     this.clearTimer(gameId);
+    // Only the owning instance runs a game's clock
+    if (!this.ownsGame(gameId)) return;
+
+    // A paused game keeps its clock stopped, even when a turn passes on while another player's
+    // grace window runs; resumeGame starts it again with the time that was set here
+    const game = this.games.get(gameId);
+    if (game && game.state.paused) {
+      game.state.timeLeft = seconds;
+      return;
+    }
     
     let timeLeft = seconds;
     const timerId = setInterval(() => {
@@ -260,6 +1256,7 @@ export class GameManager {
 
       timeLeft--;
       game.state.timeLeft = timeLeft;
+      this.emit('tick', { gameId, timeLeft });
       
       if (timeLeft <= 0) {
         this.clearTimer(gameId);
@@ -278,6 +1275,14 @@ export class GameManager {
     }
   }
 
+  generateInviteCode() {
+    let code;
+    do {
+      code = Array.from(crypto.randomBytes(INVITE_CODE_LENGTH), byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+    } while (Array.from(this.games.values()).some(game => game.inviteCode === code));
+    return code;
+  }
+
   generateGameId() {
     return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
   }
@@ -288,17 +1293,18 @@ export class GameManager {
     const maxAge = 30 * 60 * 1000; // 30 minutes
 
     for (const [gameId, game] of this.games.entries()) {
+      if (!this.ownsGame(gameId)) continue;
       if (now - game.createdAt > maxAge) {
-        console.log(`Cleaning up old game ${gameId}`);
-        this.endGame(gameId);
+        const phase = game.state.phase;
+        if (phase === 'settling' || phase === 'ended' || phase === 'refunded') continue;
+
+        log.info('Cleaning up old game', { gameId });
+        if (this.mustFinish(game)) {
+          this.finishGame(gameId, null, 'expired');
+        } else {
+          this.endGame(gameId);
+        }
       }
     }
   }
 }
-
-// Clean up old games every 10 minutes
-setInterval(() => {
-  if (global.gameManager) {
-    global.gameManager.cleanupOldGames();
-  }
-}, 10 * 60 * 1000);
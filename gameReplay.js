@@ -0,0 +1,48 @@
+import { createGrid } from './boardConfig.js';
+
+// Rebuild an archived game move by move. Each frame is the board as it stood right after
+// `move`: revealed cells ('coin' / 'bomb', null while hidden), scores and eliminated players.
+// The mine layouts of every round come from the archived verification bundle.
+export function buildReplay(record) {
+  let round = 1;
+  let revealed = createGrid(record.board, null);
+  let scores = Object.fromEntries(record.players.map(playerId => [playerId, 0]));
+  const eliminated = [];
+
+  const frames = record.moves.map((move, index) => {
+    switch (move.type) {
+      case 'placementStarted':
+        round = move.round;
+        revealed = createGrid(record.board, null);
+        break;
+      case 'reveal':
+        revealed[move.x][move.y] = move.content;
+        if (move.content === 'coin') scores[move.playerId]++;
+        break;
+      case 'roundEnded':
+        scores = { ...move.scores };
+        break;
+      case 'eliminated':
+        eliminated.push(move.playerId);
+        break;
+    }
+
+    return {
+      step: index + 1,
+      move,
+      round,
+      revealed: revealed.map(column => [...column]),
+      scores: { ...scores },
+      eliminated: [...eliminated]
+    };
+  });
+
+  return {
+    gameId: record.id,
+    board: record.board,
+    players: record.players,
+    layouts: record.verification ? record.verification.rounds : [],
+    steps: frames.length,
+    frames
+  };
+}
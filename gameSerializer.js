@@ -0,0 +1,50 @@
+// Fields that must never leave the server: wallet key material, the hidden mine layouts
+// the unrevealed half of the fairness commitments and the invite code of private games
+const HIDDEN_FIELDS = ['gameWalletKey', 'gameWalletSecret', 'bombPlacements', 'seatReservations', 'fairness', 'inviteCode'];
+
+// Build the client-safe copy of a game that anyone may see: players, spectators and the lobby
+export function serializeGame(game) {
+  if (!game) return null;
+
+  const payload = { ...game };
+  for (const field of HIDDEN_FIELDS) {
+    delete payload[field];
+  }
+
+  // The move log is served by the history API once the game is archived
+  delete payload.moves;
+
+  payload.state = { ...game.state };
+  delete payload.state.playerBombs;
+
+  return payload;
+}
+
+function privateView(game, viewerId) {
+  if (!viewerId || !game.players.includes(viewerId)) return null;
+
+  return {
+    playerId: viewerId,
+    bombs: game.bombPlacements[viewerId] || null,
+    salt: game.fairness && game.fairness.salts ? game.fairness.salts[viewerId] || null : null
+  };
+}
+
+// One recipient's view of a game: the public copy, plus their own board if they are seated.
+// viewerId is null for spectators and anyone else outside the game.
+export function projectGame(game, viewerId = null) {
+  if (!game) return null;
+
+  const view = serializeGame(game);
+  view.you = privateView(game, viewerId);
+  return view;
+}
+
+// One recipient's view of the live game state, for 'game-state-update'
+export function projectState(game, viewerId = null) {
+  const view = { ...game.state };
+  delete view.playerBombs;
+
+  view.you = privateView(game, viewerId);
+  return view;
+}
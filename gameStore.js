@@ -0,0 +1,19 @@
+import { MemoryRecordStore, FileRecordStore, SharedRecordStore } from './recordStore.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'gameStore' });
+
+function createGameStore(options = {}) {
+  if (options.sharedState) {
+    return new SharedRecordStore(options.sharedState, options.instanceId, 'games');
+  }
+  if (process.env.GAME_STORE === 'memory') {
+    return new MemoryRecordStore();
+  }
+
+  const filePath = process.env.GAME_STORE_PATH || './data/games.json';
+  log.info('Persisting games', { filePath });
+  return new FileRecordStore(filePath);
+}
+
+export { createGameStore };
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'keyCustody' });
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Keys are 32 bytes, given as hex or base64
+function parseKey(value) {
+  const key = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) throw new Error('Master key must be 32 bytes (hex or base64)');
+  return key;
+}
+
+// Holds the master keys that wrap game wallet secrets and audits every use of a secret.
+//
+// Environment:
+//   GAME_WALLET_MASTER_KEY     active key used for all new encryptions
+//   GAME_WALLET_MASTER_KEY_ID  label stored alongside each ciphertext (default "k1")
+//   GAME_WALLET_RETIRED_KEYS   comma-separated "id:key" pairs still accepted for decryption
+//   GAME_WALLET_AUDIT_LOG      append-only JSON-lines signing log
+class KeyCustody {
+  constructor(options = {}) {
+    this.keys = new Map();
+    this.auditLogPath = options.auditLogPath || process.env.GAME_WALLET_AUDIT_LOG || './data/signing-audit.log';
+    this.auditQueue = Promise.resolve();
+
+    const retired = options.retiredKeys || (process.env.GAME_WALLET_RETIRED_KEYS || '')
+      .split(',')
+      .filter(Boolean)
+      .map(entry => {
+        const [id, key] = entry.split(':');
+        return { id, key };
+      });
+    for (const { id, key } of retired) {
+      this.keys.set(id, parseKey(key));
+    }
+
+    let masterKey = options.masterKey || process.env.GAME_WALLET_MASTER_KEY;
+    if (!masterKey) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('GAME_WALLET_MASTER_KEY must be set in production');
+      }
+      // Secrets encrypted with an ephemeral key cannot be recovered after a restart
+      masterKey = crypto.randomBytes(32).toString('hex');
+      log.warn('GAME_WALLET_MASTER_KEY not set, using an ephemeral key for this process');
+    }
+
+    this.activeKeyId = options.masterKeyId || process.env.GAME_WALLET_MASTER_KEY_ID || 'k1';
+    this.keys.set(this.activeKeyId, parseKey(masterKey));
+  }
+
+  encrypt(secretKey) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.activeKeyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(secretKey)), cipher.final()]);
+
+    return {
+      keyId: this.activeKeyId,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+  }
+
+  decrypt(envelope) {
+    const key = this.keys.get(envelope.keyId);
+    if (!key) throw new Error(`Unknown master key id: ${envelope.keyId}`);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return new Uint8Array(Buffer.concat([
+      decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+      decipher.final()
+    ]));
+  }
+
+  // Re-encrypt under the active key. Legacy plaintext secrets (byte arrays) are wrapped as well.
+  rewrap(envelope) {
+    if (Array.isArray(envelope)) {
+      return this.encrypt(envelope);
+    }
+    if (envelope.keyId === this.activeKeyId) {
+      return envelope;
+    }
+
+    const secret = this.decrypt(envelope);
+    try {
+      return this.encrypt(secret);
+    } finally {
+      secret.fill(0);
+    }
+  }
+
+  needsRewrap(envelope) {
+    return Array.isArray(envelope) || envelope.keyId !== this.activeKeyId;
+  }
+
+  // Decrypt a secret for the duration of one signing operation and audit the outcome
+  async useSecret(envelope, details, operation) {
+    const secret = this.decrypt(envelope);
+    const entry = {
+      timestamp: new Date().toISOString(),
+      keyId: envelope.keyId,
+      ...details
+    };
+
+    try {
+      const result = await operation(secret);
+      this.audit({ ...entry, outcome: 'signed', signature: result && result.signature });
+      return result;
+    } catch (error) {
+      this.audit({ ...entry, outcome: 'failed', error: error.message });
+      throw error;
+    } finally {
+      secret.fill(0);
+    }
+  }
+
+  audit(entry) {
+    this.auditQueue = this.auditQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.auditLogPath), { recursive: true });
+        await fs.appendFile(this.auditLogPath, JSON.stringify(entry) + '\n');
+      })
+      .catch(error => {
+        // The entry is lost from the file; keep it in the error line instead
+        log.error('Error writing signing audit log', { entry, error });
+      });
+  }
+}
+
+export { KeyCustody };
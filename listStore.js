@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Append-only lists of JSON entries: the fee ledger, the admin audit log. Every backend
+// shares one async interface:
+//   append(entry) -> add an entry at the end
+//   readAll()     -> every entry, oldest first
+// Entries are never changed or removed.
+
+class MemoryListStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  async append(entry) {
+    this.entries.push(structuredClone(entry));
+  }
+
+  async readAll() {
+    return this.entries.map(entry => structuredClone(entry));
+  }
+}
+
+// JSON lines file, so past entries are never rewritten
+class FileListStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  append(entry) {
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+      });
+
+    return this.writeQueue;
+  }
+
+  async readAll() {
+    let contents;
+    try {
+      contents = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return [];
+    }
+
+    return contents.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+}
+
+// Redis list shared by every instance of a cluster (see sharedState.js)
+class SharedListStore {
+  constructor(sharedState, key) {
+    this.sharedState = sharedState;
+    this.key = key;
+  }
+
+  async append(entry) {
+    await this.sharedState.rpush(this.key, JSON.stringify(entry));
+  }
+
+  async readAll() {
+    const entries = await this.sharedState.lrange(this.key, 0, -1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+}
+
+export { MemoryListStore, FileListStore, SharedListStore };
@@ -0,0 +1,79 @@
+// Structured logger: one JSON object per line, info and below on stdout, warnings and errors on
+// stderr. Child loggers carry correlation fields (component, gameId, playerId, socketId) into
+// every line they write, so all lines about one game or player can be pulled out of the stream.
+//
+//   const log = logger.child({ component: 'gameManager' });
+//   log.info('Game created', { gameId, mode });
+//   log.error('Payout failed', { gameId, error });
+//
+// LOG_LEVEL sets the lowest level written (debug, info, warn, error; default info).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors do not survive JSON.stringify; keep what is useful for debugging
+function serializeError(error) {
+  return { message: error.message, name: error.name, code: error.code, stack: error.stack };
+}
+
+function serializeFields(fields) {
+  const entry = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    entry[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return entry;
+}
+
+class Logger {
+  constructor(fields = {}, options = {}) {
+    this.fields = fields;
+    this.level = options.level || process.env.LOG_LEVEL || 'info';
+    this.stdout = options.stdout || process.stdout;
+    this.stderr = options.stderr || process.stderr;
+  }
+
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields }, { level: this.level, stdout: this.stdout, stderr: this.stderr });
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  write(level, message, fields = {}) {
+    if (LEVELS[level] < (LEVELS[this.level] || LEVELS.info)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...serializeFields(this.fields),
+      ...serializeFields(fields)
+    };
+
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      // Circular or BigInt fields: keep the message rather than lose the line
+      line = JSON.stringify({ time: entry.time, level, msg: message, ...serializeFields(this.fields), unserializable: true });
+    }
+    (LEVELS[level] >= LEVELS.warn ? this.stderr : this.stdout).write(line + '\n');
+  }
+}
+
+const logger = new Logger();
+
+export { Logger, logger };
@@ -0,0 +1,168 @@
+import { EventEmitter } from 'events';
+import { BOARD_PRESETS, BOARD_LIMITS, maxBombsFor, parseBoardSize } from './boardConfig.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'matchmaker' });
+
+// Pairs queued players whose preferences overlap. Each player states acceptable bet amounts,
+// board sizes and a bomb range; among compatible players the closest rating wins. The allowed
+// rating gap starts narrow and widens the longer a player waits, so nobody waits forever.
+//
+// Emits:
+//   matchFound  { players: [playerId, playerId], settings: { betAmount, size, bombs }, waitedMs }
+//   queueChanged { depth }
+class Matchmaker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.getRating = options.getRating || (() => 1200);
+    this.baseRatingGap = options.baseRatingGap || 100;
+    this.ratingGapPerSecond = options.ratingGapPerSecond || 10;
+    this.intervalMs = options.intervalMs || 2000;
+
+    this.queue = new Map(); // playerId -> queue entry, in join order
+    this.recentWaits = []; // Wait times of the last matches, for the average shown to clients
+    this.interval = null;
+  }
+
+  start() {
+    if (this.interval) return;
+    // Rating gaps widen over time, so pairs are retried even when nobody joins
+    this.interval = setInterval(() => this.runMatching(), this.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  // preferences: { betAmount: number | number[], size: string | string[], bombs: number | { min, max } }
+  join(playerId, preferences) {
+    if (this.queue.has(playerId)) throw new Error('Already in the queue');
+
+    const entry = {
+      playerId,
+      betAmounts: [].concat(preferences.betAmount),
+      sizes: [].concat(preferences.size).map(size => ({ size, ...parseBoardSize(size) })),
+      bombs: typeof preferences.bombs === 'number'
+        ? { min: preferences.bombs, max: preferences.bombs }
+        : { min: preferences.bombs.min, max: preferences.bombs.max },
+      rating: this.getRating(playerId),
+      joinedAt: Date.now()
+    };
+
+    this.queue.set(playerId, entry);
+    log.info('Player joined the matchmaking queue', { playerId, rating: entry.rating });
+    this.emit('queueChanged', { depth: this.queue.size });
+
+    this.runMatching();
+    return this.getStatus(playerId);
+  }
+
+  leave(playerId) {
+    if (!this.queue.delete(playerId)) return false;
+
+    log.info('Player left the matchmaking queue', { playerId });
+    this.emit('queueChanged', { depth: this.queue.size });
+    return true;
+  }
+
+  isQueued(playerId) {
+    return this.queue.has(playerId);
+  }
+
+  // Game settings both players accept, or null
+  findSettings(a, b) {
+    const betAmount = a.betAmounts.find(amount => b.betAmounts.includes(amount));
+    if (betAmount === undefined) return null;
+
+    for (const option of a.sizes) {
+      if (!b.sizes.some(other => other.size === option.size)) continue;
+
+      const min = Math.max(a.bombs.min, b.bombs.min, BOARD_LIMITS.minBombs);
+      const max = Math.min(a.bombs.max, b.bombs.max, maxBombsFor(option.width, option.height));
+      if (min > max) continue;
+
+      // Prefer the preset's usual bomb count when both accept it
+      const preset = BOARD_PRESETS.find(entry => entry.id === option.size);
+      const bombs = preset && preset.defaultBombs >= min && preset.defaultBombs <= max ? preset.defaultBombs : min;
+      return { betAmount, size: option.size, bombs };
+    }
+
+    return null;
+  }
+
+  allowedGap(entry, now) {
+    return this.baseRatingGap + this.ratingGapPerSecond * Math.floor((now - entry.joinedAt) / 1000);
+  }
+
+  // Longest-waiting players are matched first, each with the closest-rated compatible partner
+  runMatching() {
+    const now = Date.now();
+    const matched = new Set();
+
+    for (const entry of this.queue.values()) {
+      if (matched.has(entry.playerId)) continue;
+
+      let best = null;
+      for (const candidate of this.queue.values()) {
+        if (candidate === entry || matched.has(candidate.playerId)) continue;
+
+        const gap = Math.abs(entry.rating - candidate.rating);
+        // Either player's patience is enough to accept the gap
+        if (gap > Math.max(this.allowedGap(entry, now), this.allowedGap(candidate, now))) continue;
+
+        const settings = this.findSettings(entry, candidate);
+        if (settings && (!best || gap < best.gap)) {
+          best = { candidate, settings, gap };
+        }
+      }
+
+      if (!best) continue;
+
+      matched.add(entry.playerId);
+      matched.add(best.candidate.playerId);
+      this.queue.delete(entry.playerId);
+      this.queue.delete(best.candidate.playerId);
+
+      const waitedMs = now - entry.joinedAt;
+      this.recentWaits.push(waitedMs, now - best.candidate.joinedAt);
+      this.recentWaits = this.recentWaits.slice(-50);
+
+      log.info('Players matched', { players: [entry.playerId, best.candidate.playerId], settings: best.settings, waitedMs });
+      this.emit('matchFound', { players: [entry.playerId, best.candidate.playerId], settings: best.settings, waitedMs });
+    }
+
+    if (matched.size > 0) {
+      this.emit('queueChanged', { depth: this.queue.size });
+    }
+  }
+
+  getStats() {
+    const now = Date.now();
+    const waits = Array.from(this.queue.values()).map(entry => now - entry.joinedAt);
+
+    return {
+      depth: this.queue.size,
+      longestWaitMs: waits.length ? Math.max(...waits) : 0,
+      averageWaitMs: this.recentWaits.length
+        ? Math.round(this.recentWaits.reduce((sum, wait) => sum + wait, 0) / this.recentWaits.length)
+        : null
+    };
+  }
+
+  // Queue stats plus this player's own place and wait
+  getStatus(playerId) {
+    const entry = this.queue.get(playerId);
+    if (!entry) return { queued: false, ...this.getStats() };
+
+    return {
+      queued: true,
+      position: Array.from(this.queue.keys()).indexOf(playerId) + 1,
+      waitedMs: Date.now() - entry.joinedAt,
+      rating: entry.rating,
+      ...this.getStats()
+    };
+  }
+}
+
+export { Matchmaker };
@@ -0,0 +1,92 @@
+import client from 'prom-client';
+
+// Prometheus metrics, served by the /metrics route. They live in their own registry rather than
+// prom-client's global one. In a cluster every instance reports the games it drives, so the
+// totals are summed across instances at query time.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'mines_' });
+
+const metrics = {
+  gamesCreated: new client.Counter({
+    name: 'mines_games_created_total',
+    help: 'Games created, by mode and how they were set up',
+    labelNames: ['mode', 'source'],
+    registers: [register]
+  }),
+  gamesJoined: new client.Counter({
+    name: 'mines_games_joined_total',
+    help: 'Players seated in a game after their deposit was confirmed',
+    registers: [register]
+  }),
+  gamesCompleted: new client.Counter({
+    name: 'mines_games_completed_total',
+    help: 'Games whose outcome was decided, by reason (bomb, timeout, forfeit, match, cancelled, ...)',
+    labelNames: ['reason'],
+    registers: [register]
+  }),
+  forfeits: new client.Counter({
+    name: 'mines_forfeits_total',
+    help: 'Players who left or lost their connection in a running game',
+    registers: [register]
+  }),
+  timeouts: new client.Counter({
+    name: 'mines_timeouts_total',
+    help: 'Clocks that ran out: a bomb layout auto-placed or a turn not taken',
+    labelNames: ['phase'],
+    registers: [register]
+  }),
+  revealDuration: new client.Histogram({
+    name: 'mines_reveal_duration_seconds',
+    help: 'Time to handle a reveal-field request, from receipt to acknowledgement',
+    labelNames: ['result'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+    registers: [register]
+  }),
+  transfers: new client.Counter({
+    name: 'mines_transfers_total',
+    help: 'Transfers out of game wallets, by purpose (payout, refund, fee) and result',
+    labelNames: ['purpose', 'result'],
+    registers: [register]
+  }),
+  solWagered: new client.Counter({
+    name: 'mines_sol_wagered_total',
+    help: 'SOL deposited into games by verified deposits',
+    registers: [register]
+  }),
+  activeSockets: new client.Gauge({
+    name: 'mines_active_sockets',
+    help: 'Socket.IO connections open on this instance',
+    registers: [register]
+  })
+};
+
+// Count game lifecycle events from the move log of every game this process drives
+function trackGameMetrics(gameManager) {
+  gameManager.on('moveRecorded', ({ gameId, move }) => {
+    switch (move.type) {
+      case 'created': {
+        const game = gameManager.getGame(gameId);
+        const source = game.matchmade ? 'matchmade' : (game.private ? 'private' : 'public');
+        metrics.gamesCreated.inc({ mode: move.mode, source });
+        break;
+      }
+      case 'joined':
+        metrics.gamesJoined.inc();
+        break;
+      case 'finished':
+        metrics.gamesCompleted.inc({ reason: move.reason });
+        break;
+      case 'forfeit':
+        metrics.forfeits.inc();
+        break;
+      case 'timeout':
+        metrics.timeouts.inc({ phase: 'turn' });
+        break;
+      case 'placed':
+        if (move.auto) metrics.timeouts.inc({ phase: 'placement' });
+        break;
+    }
+  });
+}
+
+export { register, metrics, trackGameMetrics };
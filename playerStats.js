@@ -0,0 +1,259 @@
+import { MemoryRecordStore, FileRecordStore, SharedRecordStore } from './recordStore.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'playerStats' });
+
+// Per-player stats, accumulated from each archived game. A player record keeps all-time totals
+// plus one bucket per UTC day, which is what the daily and weekly leaderboards are built from.
+//
+// Player records are keyed by `id`, so they are persisted with the record stores.
+
+const WINDOWS = ['daily', 'weekly', 'all-time'];
+const LEADERBOARD_METRICS = ['profit', 'wins', 'streak'];
+// Elo rating used by the matchmaker
+const RATING_START = 1200;
+const RATING_K = 32;
+// Day buckets older than this are dropped; only the weekly window reaches back that far
+const DAY_BUCKET_RETENTION = 8;
+
+function dayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function emptyTotals() {
+  return { games: 0, wins: 0, wagered: 0, profit: 0, hits: 0, revealsBeforeHit: 0, longestStreak: 0 };
+}
+
+function roundSol(value) {
+  return Math.round(value * 1e9) / 1e9;
+}
+
+function addTotals(target, source) {
+  target.games += source.games;
+  target.wins += source.wins;
+  target.wagered = roundSol(target.wagered + source.wagered);
+  target.profit = roundSol(target.profit + source.profit);
+  target.hits += source.hits;
+  target.revealsBeforeHit += source.revealsBeforeHit;
+  target.longestStreak = Math.max(target.longestStreak, source.longestStreak);
+  return target;
+}
+
+function summarize(totals) {
+  return {
+    gamesPlayed: totals.games,
+    wins: totals.wins,
+    losses: totals.games - totals.wins,
+    winRate: totals.games ? totals.wins / totals.games : 0,
+    totalWagered: totals.wagered,
+    netProfit: totals.profit,
+    longestWinStreak: totals.longestStreak,
+    averageRevealsBeforeHit: totals.hits ? totals.revealsBeforeHit / totals.hits : null
+  };
+}
+
+// Records archived before `winners` was kept only have the payout's
+function gameWinners(record) {
+  return record.winners || (record.payout ? record.payout.winners : []);
+}
+
+// Safe reveals each player made on a board before hitting a mine, one entry per hit
+function revealsBeforeHits(record) {
+  const hits = {};
+  let safeThisRound = {};
+  let round = null;
+
+  for (const move of record.moves || []) {
+    if (move.type !== 'reveal') continue;
+    if (move.round !== round) {
+      round = move.round;
+      safeThisRound = {};
+    }
+
+    if (move.content === 'coin') {
+      safeThisRound[move.playerId] = (safeThisRound[move.playerId] || 0) + 1;
+    } else {
+      (hits[move.playerId] = hits[move.playerId] || []).push(safeThisRound[move.playerId] || 0);
+    }
+  }
+
+  return hits;
+}
+
+class PlayerStats {
+  constructor(store = new MemoryRecordStore()) {
+    this.store = store;
+    this.players = new Map();
+  }
+
+  async load() {
+    for (const player of await this.store.loadAll()) {
+      this.players.set(player.id, player);
+    }
+    log.info('Loaded player stats', { players: this.players.size });
+
+    // In a cluster one instance records games (see server.js) and the others follow its writes
+    if (this.store.onChange) {
+      await this.store.onChange(({ id }) => this.refresh(id));
+    }
+  }
+
+  async refresh(playerId) {
+    const player = await this.store.load(playerId);
+    if (player) this.players.set(playerId, player);
+  }
+
+  // Only games that were won count (paid-out games and tournament matches); cancelled and
+  // refunded games leave no trace in the stats
+  async recordGame(record) {
+    const winners = gameWinners(record);
+    if (record.outcome !== 'completed' || winners.length === 0) return;
+    const shares = record.payout ? record.payout.shares : [];
+
+    const endedAt = record.endedAt || Date.now();
+    const hits = revealsBeforeHits(record);
+    const ratingChanges = this.ratingChanges(record);
+    const updated = [];
+
+    for (const playerId of record.players) {
+      const player = this.players.get(playerId) || {
+        id: playerId,
+        firstPlayedAt: endedAt,
+        lastPlayedAt: endedAt,
+        currentStreak: 0,
+        rating: RATING_START,
+        totals: emptyTotals(),
+        days: {}
+      };
+
+      const won = winners.includes(playerId);
+      const received = shares
+        .filter(share => share.playerId === playerId)
+        .reduce((sum, share) => sum + share.amount, 0);
+      player.currentStreak = won ? player.currentStreak + 1 : 0;
+
+      const playerHits = hits[playerId] || [];
+      const delta = {
+        games: 1,
+        wins: won ? 1 : 0,
+        wagered: record.betAmount,
+        profit: roundSol(received - record.betAmount),
+        hits: playerHits.length,
+        revealsBeforeHit: playerHits.reduce((sum, count) => sum + count, 0),
+        // A streak is credited to the day it reached its length
+        longestStreak: player.currentStreak
+      };
+
+      const day = dayKey(endedAt);
+      addTotals(player.totals, delta);
+      player.days[day] = addTotals(player.days[day] || emptyTotals(), delta);
+      player.lastPlayedAt = endedAt;
+      player.rating = Math.round((player.rating ?? RATING_START) + ratingChanges[playerId]);
+      this.pruneDays(player, endedAt);
+
+      this.players.set(playerId, player);
+      updated.push(player);
+    }
+
+    await Promise.all(updated.map(player => this.store.save(player)));
+  }
+
+  getRating(playerId) {
+    const player = this.players.get(playerId);
+    return player && player.rating !== undefined ? player.rating : RATING_START;
+  }
+
+  // Every winner is scored as beating every loser; with more than two players each pairing
+  // counts for a share of K so one game moves a rating about as much as a duel
+  ratingChanges(record) {
+    const changes = Object.fromEntries(record.players.map(playerId => [playerId, 0]));
+    const winners = gameWinners(record);
+    const losers = record.players.filter(playerId => !winners.includes(playerId));
+    const k = RATING_K / Math.max(record.players.length - 1, 1);
+
+    for (const winner of winners) {
+      for (const loser of losers) {
+        const expected = 1 / (1 + 10 ** ((this.getRating(loser) - this.getRating(winner)) / 400));
+        const change = k * (1 - expected);
+        changes[winner] += change;
+        changes[loser] -= change;
+      }
+    }
+
+    return changes;
+  }
+
+  pruneDays(player, now) {
+    const oldest = dayKey(now - DAY_BUCKET_RETENTION * 24 * 60 * 60 * 1000);
+    for (const day of Object.keys(player.days)) {
+      if (day < oldest) delete player.days[day];
+    }
+  }
+
+  // Totals for one window; daily is the current UTC day, weekly the last seven UTC days
+  windowTotals(player, window, now = Date.now()) {
+    if (window === 'all-time') return player.totals;
+
+    const days = window === 'daily' ? 1 : 7;
+    const totals = emptyTotals();
+    for (let i = 0; i < days; i++) {
+      const bucket = player.days[dayKey(now - i * 24 * 60 * 60 * 1000)];
+      if (bucket) addTotals(totals, bucket);
+    }
+    return totals;
+  }
+
+  getProfile(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return null;
+
+    return {
+      playerId,
+      firstPlayedAt: player.firstPlayedAt,
+      lastPlayedAt: player.lastPlayedAt,
+      currentStreak: player.currentStreak,
+      rating: this.getRating(playerId),
+      allTime: summarize(player.totals),
+      weekly: summarize(this.windowTotals(player, 'weekly')),
+      daily: summarize(this.windowTotals(player, 'daily'))
+    };
+  }
+
+  getLeaderboard(metric = 'profit', window = 'all-time', limit = 10) {
+    if (!LEADERBOARD_METRICS.includes(metric)) throw new Error(`metric must be one of ${LEADERBOARD_METRICS.join(', ')}`);
+    if (!WINDOWS.includes(window)) throw new Error(`window must be one of ${WINDOWS.join(', ')}`);
+
+    const value = {
+      profit: totals => totals.profit,
+      wins: totals => totals.wins,
+      streak: totals => totals.longestStreak
+    }[metric];
+
+    return Array.from(this.players.values())
+      .map(player => ({ playerId: player.id, totals: this.windowTotals(player, window) }))
+      .filter(entry => entry.totals.games > 0)
+      .sort((a, b) => value(b.totals) - value(a.totals) || b.totals.games - a.totals.games)
+      .slice(0, limit)
+      .map((entry, index) => ({
+        rank: index + 1,
+        playerId: entry.playerId,
+        value: value(entry.totals),
+        ...summarize(entry.totals)
+      }));
+  }
+}
+
+function createPlayerStats(options = {}) {
+  if (options.sharedState) {
+    return new PlayerStats(new SharedRecordStore(options.sharedState, options.instanceId, 'players'));
+  }
+  if (process.env.GAME_STORE === 'memory') {
+    return new PlayerStats(new MemoryRecordStore());
+  }
+
+  const filePath = process.env.PLAYER_STATS_PATH || './data/players.json';
+  log.info('Persisting player stats', { filePath });
+  return new PlayerStats(new FileRecordStore(filePath));
+}
+
+export { PlayerStats, createPlayerStats, WINDOWS, LEADERBOARD_METRICS };
@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import { commitLayout } from './fairness.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'practiceBot' });
+
+// The bot's seat in every practice game; never a wallet, so it can never be paid or charged
+const BOT_PLAYER_ID = 'practice-bot';
+
+// How the bot lays its mines:
+//   random     every cell equally likely
+//   edge-heavy border cells three times as likely as inner ones, where new players rarely look
+//   pattern    diagonal stripes first ((x + y) % 3 on a random offset), then anywhere
+const BOT_STRATEGIES = ['random', 'edge-heavy', 'pattern'];
+
+// How the bot takes its turns. `thinkMs` is the delay before it reveals, always kept inside
+// the turn clock. `foresight` is the chance it steers clear of the player's mines: practice
+// games stake nothing, so the bot may look at the board to make itself harder to beat.
+const BOT_DIFFICULTIES = {
+  easy: { thinkMs: [2000, 3500], foresight: 0 },
+  medium: { thinkMs: [1200, 2500], foresight: 0.4 },
+  hard: { thinkMs: [600, 1500], foresight: 0.75 }
+};
+
+function randomBetween(min, max) {
+  return min + crypto.randomInt(max - min + 1);
+}
+
+function pickWeighted(cells, weight) {
+  const total = cells.reduce((sum, cell) => sum + weight(cell), 0);
+  let ticket = crypto.randomInt(total);
+  for (const cell of cells) {
+    ticket -= weight(cell);
+    if (ticket < 0) return cell;
+  }
+  return cells[cells.length - 1];
+}
+
+function allCells({ width, height }) {
+  const cells = [];
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      cells.push([x, y]);
+    }
+  }
+  return cells;
+}
+
+// Build a bombs[x][y] layout with exactly board.bombs mines
+function placeMines(strategy, board) {
+  const { width, height } = board;
+  const isEdge = ([x, y]) => x === 0 || y === 0 || x === width - 1 || y === height - 1;
+  const stripe = crypto.randomInt(3);
+  const weights = {
+    random: () => 1,
+    'edge-heavy': cell => (isEdge(cell) ? 3 : 1),
+    // Stripe cells are picked before any other cell is considered
+    pattern: ([x, y]) => ((x + y) % 3 === stripe ? 1000 : 1)
+  };
+  const weight = weights[strategy] || weights.random;
+
+  const bombs = Array(width).fill(null).map(() => Array(height).fill(0));
+  const cells = allCells(board);
+  for (let i = 0; i < board.bombs; i++) {
+    const cell = pickWeighted(cells, weight);
+    cells.splice(cells.indexOf(cell), 1);
+    bombs[cell[0]][cell[1]] = 1;
+  }
+  return bombs;
+}
+
+// Pick the next field to reveal for the bot
+function chooseField(game, botId, difficulty) {
+  const { foresight } = BOT_DIFFICULTIES[difficulty] || BOT_DIFFICULTIES.medium;
+  const hidden = allCells(game.board).filter(([x, y]) => !game.state.revealedFields[x][y]);
+  const mined = ([x, y]) => game.players.some(playerId =>
+    playerId !== botId && game.bombPlacements[playerId] && game.bombPlacements[playerId][x][y] === 1
+  );
+
+  const safe = hidden.filter(cell => !mined(cell));
+  const pool = safe.length > 0 && Math.random() < foresight ? safe : hidden;
+  const [x, y] = pool[crypto.randomInt(pool.length)];
+  return { x, y };
+}
+
+// Plays the bot's seat in every practice game this process drives. It acts only through the
+// same GameManager calls a player's socket events use (joinGame, confirmBombPlacement,
+// revealField). Besides reacting to phase and turn changes it checks on every clock tick, so a
+// game resumed after a pause, a restart or a takeover by another instance is picked up again.
+class PracticeBots {
+  constructor(gameManager) {
+    this.gameManager = gameManager;
+    this.pendingMoves = new Map(); // gameId -> { key, timeout }
+
+    const check = ({ gameId }) => this.schedule(gameId);
+    gameManager.on('phaseChanged', check);
+    gameManager.on('turnChanged', check);
+    gameManager.on('gameResumed', check);
+    gameManager.on('tick', check);
+    gameManager.on('gameRemoved', ({ gameId }) => this.cancel(gameId));
+  }
+
+  // Create a zero-stake game for the player and seat the bot in it. The caller joins the
+  // player's socket to the room in between, so the game start reaches them.
+  createGame(playerId, settings) {
+    return this.gameManager.createGame({
+      size: settings.size,
+      bombs: settings.bombs,
+      mode: settings.mode,
+      rounds: settings.rounds,
+      creator: playerId,
+      practice: {
+        difficulty: settings.botDifficulty || process.env.PRACTICE_BOT_DIFFICULTY || 'medium',
+        strategy: settings.botStrategy || process.env.PRACTICE_BOT_STRATEGY || 'random'
+      }
+    });
+  }
+
+  seatBot(gameId) {
+    return this.gameManager.joinGame(gameId, BOT_PLAYER_ID);
+  }
+
+  // Queue the bot's next action if it has one to take and nothing is queued for it yet
+  schedule(gameId) {
+    const game = this.gameManager.getGame(gameId);
+    if (!game || !game.practice || !this.gameManager.ownsGame(gameId) || game.state.paused) return;
+
+    const phase = game.state.phase;
+    let key = null;
+    if (phase === 'placement' && !game.bombPlacements[BOT_PLAYER_ID]) {
+      key = `placement:${game.state.round}`;
+    } else if (phase === 'gameplay' && game.state.currentPlayer === BOT_PLAYER_ID) {
+      key = `turn:${game.state.round}:${game.state.turn}`;
+    }
+
+    const pending = this.pendingMoves.get(gameId);
+    if (pending && pending.key === key) return;
+    this.cancel(gameId);
+    if (!key) return;
+
+    const [minMs, maxMs] = (BOT_DIFFICULTIES[game.practice.difficulty] || BOT_DIFFICULTIES.medium).thinkMs;
+    // Leave at least half a second of the clock, or the bot would time itself out
+    const delay = Math.max(0, Math.min(randomBetween(minMs, maxMs), game.state.timeLeft * 1000 - 500));
+    const timeout = setTimeout(() => {
+      this.pendingMoves.delete(gameId);
+      this.act(gameId, key);
+    }, delay);
+    this.pendingMoves.set(gameId, { key, timeout });
+  }
+
+  act(gameId, key) {
+    const game = this.gameManager.getGame(gameId);
+    if (!game || game.state.paused) return;
+
+    try {
+      if (key.startsWith('placement:') && game.state.phase === 'placement') {
+        const bombs = placeMines(game.practice.strategy, game.board);
+        const salt = crypto.randomBytes(16).toString('hex');
+        this.gameManager.confirmBombPlacement(gameId, BOT_PLAYER_ID, bombs, salt, commitLayout(bombs, salt));
+      } else if (key.startsWith('turn:') && game.state.phase === 'gameplay' && game.state.currentPlayer === BOT_PLAYER_ID) {
+        const { x, y } = chooseField(game, BOT_PLAYER_ID, game.practice.difficulty);
+        this.gameManager.revealField(gameId, BOT_PLAYER_ID, x, y);
+      }
+    } catch (error) {
+      log.error('Practice bot move failed', { gameId, key, error });
+    }
+  }
+
+  cancel(gameId) {
+    const pending = this.pendingMoves.get(gameId);
+    if (!pending) return;
+    clearTimeout(pending.timeout);
+    this.pendingMoves.delete(gameId);
+  }
+}
+
+export { PracticeBots, BOT_PLAYER_ID, BOT_STRATEGIES, BOT_DIFFICULTIES, placeMines, chooseField };
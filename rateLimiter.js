@@ -0,0 +1,201 @@
+import { EventEmitter } from 'events';
+import { RateLimitError } from './errors.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'rateLimiter' });
+
+// Abuse protection for the socket server: fixed-window rate limits per event, counted both per
+// IP and per wallet, connection caps, and temporary bans for clients that keep hitting limits.
+//
+// Limits are "count/seconds" and can be overridden per event from the environment, e.g.
+//   RATE_LIMIT_CREATE_GAME=5/60   RATE_LIMIT_DEFAULT=60/60
+// An IP may make RATE_LIMIT_IP_MULTIPLIER times a wallet's allowance, since players can share one.
+const DEFAULT_LIMITS = {
+  'auth-challenge': '10/60',
+  'auth-verify': '10/60',
+  'create-game': '5/60',
+  'create-practice-game': '10/60',
+  'join-game': '10/60',
+  'confirm-deposit': '10/60',
+  'get-open-games': '30/60',
+  'get-live-games': '30/60',
+  'queue-join': '10/60',
+  'spectate-game': '20/60',
+  'get-tournaments': '30/60',
+  'tournament-register': '10/60',
+  'tournament-confirm-entry': '10/60',
+  'tournament-ready': '20/60',
+  'confirm-bomb-placement': '20/60',
+  'reveal-field': '120/60',
+  default: '60/60'
+};
+
+function parseLimit(value, name) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+  if (!match) throw new Error(`Rate limit for ${name} must look like "count/seconds", got "${value}"`);
+  return { count: parseInt(match[1]), windowMs: parseInt(match[2]) * 1000 };
+}
+
+// RATE_LIMIT_CREATE_GAME -> 'create-game', RATE_LIMIT_DEFAULT -> 'default'
+function limitsFromEnv(env) {
+  const limits = {};
+  for (const [key, value] of Object.entries(env)) {
+    if (!key.startsWith('RATE_LIMIT_') || key === 'RATE_LIMIT_IP_MULTIPLIER') continue;
+    limits[key.slice('RATE_LIMIT_'.length).toLowerCase().replace(/_/g, '-')] = value;
+  }
+  return limits;
+}
+
+class RateLimiter extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const env = options.env || process.env;
+    const configured = { ...DEFAULT_LIMITS, ...limitsFromEnv(env), ...options.limits };
+    this.limits = Object.fromEntries(Object.entries(configured).map(([event, value]) => [event, parseLimit(value, event)]));
+
+    this.ipMultiplier = parseInt(env.RATE_LIMIT_IP_MULTIPLIER) || 3;
+    this.maxConnections = parseInt(env.MAX_CONNECTIONS) || 5000;
+    this.maxConnectionsPerIp = parseInt(env.MAX_CONNECTIONS_PER_IP) || 10;
+    this.maxOpenGamesPerWallet = parseInt(env.MAX_OPEN_GAMES_PER_WALLET) || 3;
+    // Violations within the strike window that earn a ban, and how long it lasts
+    this.banThreshold = parseInt(env.BAN_THRESHOLD) || 5;
+    this.strikeWindowMs = parseInt(env.BAN_STRIKE_WINDOW_MS) || 10 * 60 * 1000; // 10 minutes
+    this.banDurationMs = parseInt(env.BAN_DURATION_MS) || 15 * 60 * 1000; // 15 minutes
+
+    this.windows = new Map(); // `${subject}:${event}` -> { count, resetAt }
+    this.strikes = new Map(); // subject -> { count, resetAt }
+    this.bans = new Map(); // subject -> banned until
+    this.connections = new Map(); // ip -> open connections
+    this.totalConnections = 0;
+  }
+
+  // Throws if the subject ('ip:...' or 'wallet:...') is banned
+  assertNotBanned(subject) {
+    const until = this.bans.get(subject);
+    if (!until) return;
+    if (until <= Date.now()) {
+      this.bans.delete(subject);
+      return;
+    }
+    throw new RateLimitError('BANNED', 'Temporarily banned for repeated abuse', { bannedUntil: until });
+  }
+
+  ban(subject, durationMs = this.banDurationMs) {
+    const until = Date.now() + durationMs;
+    this.bans.set(subject, until);
+    this.strikes.delete(subject);
+    log.warn('Temporarily banned for hitting rate limits', { subject, until: new Date(until).toISOString() });
+    this.emit('banned', { subject, until });
+    return until;
+  }
+
+  unban(subject) {
+    return this.bans.delete(subject);
+  }
+
+  // Count a violation; enough of them inside the strike window turn into a ban
+  strike(subject) {
+    const now = Date.now();
+    let record = this.strikes.get(subject);
+    if (!record || record.resetAt <= now) {
+      record = { count: 0, resetAt: now + this.strikeWindowMs };
+      this.strikes.set(subject, record);
+    }
+
+    record.count++;
+    if (record.count >= this.banThreshold) {
+      this.ban(subject);
+    }
+  }
+
+  // Returns 0 when the hit is allowed, otherwise how long until the window resets
+  hit(key, limit) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + limit.windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+    return window.count > limit.count ? window.resetAt - now : 0;
+  }
+
+  // Check one socket event against the IP and (when signed in) wallet limits
+  checkEvent(event, ip, playerId = null) {
+    const subjects = [`ip:${ip}`];
+    if (playerId) subjects.push(`wallet:${playerId}`);
+    subjects.forEach(subject => this.assertNotBanned(subject));
+
+    // Event names come from the client, so any event without a limit of its own shares the
+    // 'default' window; otherwise every made-up name would open a window of its own
+    const bucket = Object.hasOwn(this.limits, event) ? event : 'default';
+    const limit = this.limits[bucket];
+    const ipLimit = { count: limit.count * this.ipMultiplier, windowMs: limit.windowMs };
+
+    // Only the subject whose allowance ran out earns a strike
+    const exceeded = [[`ip:${ip}`, this.hit(`ip:${ip}:${bucket}`, ipLimit)]];
+    if (playerId) {
+      exceeded.push([`wallet:${playerId}`, this.hit(`wallet:${playerId}:${bucket}`, limit)]);
+    }
+
+    const retryAfterMs = Math.max(...exceeded.map(([, wait]) => wait));
+    if (retryAfterMs > 0) {
+      exceeded.filter(([, wait]) => wait > 0).forEach(([subject]) => this.strike(subject));
+      throw new RateLimitError('RATE_LIMITED', `Too many ${event} requests`, { event, retryAfterMs });
+    }
+  }
+
+  // Called before accepting a connection; throws when a cap is reached or the IP is banned
+  checkConnection(ip) {
+    this.assertNotBanned(`ip:${ip}`);
+
+    if (this.totalConnections >= this.maxConnections) {
+      throw new RateLimitError('SERVER_FULL', 'Server is at its connection limit');
+    }
+    if ((this.connections.get(ip) || 0) >= this.maxConnectionsPerIp) {
+      this.strike(`ip:${ip}`);
+      throw new RateLimitError('TOO_MANY_CONNECTIONS', `At most ${this.maxConnectionsPerIp} connections per IP`);
+    }
+  }
+
+  addConnection(ip) {
+    this.connections.set(ip, (this.connections.get(ip) || 0) + 1);
+    this.totalConnections++;
+  }
+
+  removeConnection(ip) {
+    const count = (this.connections.get(ip) || 1) - 1;
+    if (count > 0) {
+      this.connections.set(ip, count);
+    } else {
+      this.connections.delete(ip);
+    }
+    this.totalConnections = Math.max(this.totalConnections - 1, 0);
+  }
+
+  // Throws when a wallet already has as many unstarted games as it may
+  checkOpenGames(openGames) {
+    if (openGames >= this.maxOpenGamesPerWallet) {
+      throw new RateLimitError('TOO_MANY_OPEN_GAMES', `At most ${this.maxOpenGamesPerWallet} open games per wallet`, {
+        limit: this.maxOpenGamesPerWallet
+      });
+    }
+  }
+
+  // Drop expired windows, strikes and bans so the maps do not grow without bound
+  sweep() {
+    const now = Date.now();
+    for (const [key, window] of this.windows.entries()) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+    for (const [subject, record] of this.strikes.entries()) {
+      if (record.resetAt <= now) this.strikes.delete(subject);
+    }
+    for (const [subject, until] of this.bans.entries()) {
+      if (until <= now) this.bans.delete(subject);
+    }
+  }
+}
+
+export { RateLimiter };
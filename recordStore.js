@@ -0,0 +1,134 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Stores of JSON records keyed by their `id`: games, tournaments, player stats, wallet bans.
+// The adapters share one async interface:
+//   loadAll()  -> array of every persisted record
+//   load(id)   -> one record or null
+//   save(record) -> insert or replace a record by id
+//   delete(id) -> remove a record
+
+class MemoryRecordStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async loadAll() {
+    return Array.from(this.records.values()).map(record => structuredClone(record));
+  }
+
+  async load(id) {
+    const record = this.records.get(id);
+    return record ? structuredClone(record) : null;
+  }
+
+  async save(record) {
+    this.records.set(record.id, structuredClone(record));
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+}
+
+class FileRecordStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.records = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async ensureLoaded() {
+    if (this.records) return;
+
+    try {
+      const contents = await fs.readFile(this.filePath, 'utf8');
+      this.records = new Map(JSON.parse(contents).map(record => [record.id, record]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.records = new Map();
+    }
+  }
+
+  async loadAll() {
+    await this.ensureLoaded();
+    return Array.from(this.records.values()).map(record => structuredClone(record));
+  }
+
+  async load(id) {
+    await this.ensureLoaded();
+    const record = this.records.get(id);
+    return record ? structuredClone(record) : null;
+  }
+
+  async save(record) {
+    await this.ensureLoaded();
+    this.records.set(record.id, structuredClone(record));
+    return this.flush();
+  }
+
+  async delete(id) {
+    await this.ensureLoaded();
+    this.records.delete(id);
+    return this.flush();
+  }
+
+  // Writes are serialized and atomic (temp file + rename) so a crash never leaves a torn file
+  flush() {
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(Array.from(this.records.values())));
+        await fs.rename(tempPath, this.filePath);
+      });
+
+    return this.writeQueue;
+  }
+}
+
+// Records kept in the shared state backend (one hash field per record) so every instance of a
+// cluster sees them. Each write is announced on a channel named like the hash; `onChange` lets
+// an instance refresh its replicas of records another instance wrote.
+class SharedRecordStore {
+  constructor(sharedState, instanceId, hash) {
+    this.sharedState = sharedState;
+    this.instanceId = instanceId;
+    this.hash = hash;
+  }
+
+  async loadAll() {
+    const records = await this.sharedState.hgetAll(this.hash);
+    return Object.values(records).map(record => JSON.parse(record));
+  }
+
+  async load(id) {
+    const record = await this.sharedState.hget(this.hash, id);
+    return record ? JSON.parse(record) : null;
+  }
+
+  async save(record) {
+    await this.sharedState.hset(this.hash, record.id, JSON.stringify(record));
+    await this.announce('saved', record.id);
+  }
+
+  async delete(id) {
+    await this.sharedState.hdel(this.hash, id);
+    await this.announce('deleted', id);
+  }
+
+  announce(type, id) {
+    return this.sharedState.publish(this.hash, JSON.stringify({ type, id, origin: this.instanceId }));
+  }
+
+  // handler({ type, id }) for changes made by other instances
+  onChange(handler) {
+    return this.sharedState.subscribe(this.hash, message => {
+      const change = JSON.parse(message);
+      if (change.origin !== this.instanceId) handler(change);
+    });
+  }
+}
+
+export { MemoryRecordStore, FileRecordStore, SharedRecordStore };
@@ -3,9 +3,53 @@ import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
-import { Connection, Keypair, PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import crypto from 'crypto';
+import { createAdapter } from '@socket.io/redis-adapter';
 import { GameManager } from './gameManager.js';
 import { SolanaService } from './solanaService.js';
+import { AuthService } from './authService.js';
+import { SettlementService } from './settlementService.js';
+import { FeePolicy } from './feePolicy.js';
+import { createFeeLedger } from './feeLedger.js';
+import { createGameArchive } from './gameArchive.js';
+import { buildReplay } from './gameReplay.js';
+import { createPlayerStats } from './playerStats.js';
+import { createWalletBans } from './walletBans.js';
+import { createAuditLog } from './auditLog.js';
+import { createDepositRegistry } from './depositRegistry.js';
+import { KeyCustody } from './keyCustody.js';
+import { Matchmaker } from './matchmaker.js';
+import { createGameStore } from './gameStore.js';
+import { createSharedState } from './sharedState.js';
+import { GameCluster } from './gameCluster.js';
+import { projectGame, projectState } from './gameSerializer.js';
+import { ValidationError } from './errors.js';
+import { RateLimiter } from './rateLimiter.js';
+import { PracticeBots } from './practiceBot.js';
+import { createTournamentManager } from './tournamentManager.js';
+import { logger } from './logger.js';
+import { register as metricsRegister, metrics, trackGameMetrics } from './metrics.js';
+import { getBoardCatalog } from './boardConfig.js';
+import {
+  validateAuthVerify,
+  validateCreateGame,
+  validatePracticeGame,
+  validateJoinGame,
+  validateQueueJoin,
+  validateConfirmDeposit,
+  validateGameId,
+  validateSpectate,
+  validateBombPlacement,
+  validateReveal,
+  validateForceEnd,
+  validateWalletBan,
+  validateNotice,
+  validateCreateTournament,
+  validateTournamentId,
+  validateTournamentEntry
+} from './validation.js';
+
+const log = logger.child({ component: 'server' });
 
 const app = express();
 const server = createServer(app);
@@ -37,148 +81,1085 @@ app.get('/', (req, res) => {
   });
 });
 
+// Preset board sizes and the limits for custom ones
+app.get('/boards', (req, res) => {
+  res.json(getBoardCatalog());
+});
+
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy',
     games: gameManager.games.size,
+    instance: cluster ? { id: cluster.instanceId, ownedGames: cluster.owned.size } : null,
     connections: io.engine.clientsCount,
     uptime: process.uptime()
   });
 });
 
-const gameManager = new GameManager();
-const solanaService = new SolanaService();
+// With REDIS_URL set this process is one instance of a cluster: games live in Redis, every
+// game is driven by the instance holding its lease, and room broadcasts reach sockets on all
+// instances. Tournaments, the archive, player stats, the fee ledger, the audit log, wallet bans
+// and used deposit signatures are shared too, so every instance answers their routes alike;
+// tournaments are hosted and player stats recorded by whichever instance holds the matching
+// role. The matchmaking
+// queue, rate limits and spectator lists stay per instance.
+const shared = await createSharedState();
+const instanceId = process.env.INSTANCE_ID || crypto.randomBytes(6).toString('hex');
+const sharedOptions = shared ? { sharedState: shared.sharedState, instanceId } : {};
+
+const feePolicy = new FeePolicy();
+const feeLedger = createFeeLedger(sharedOptions);
+const gameArchive = createGameArchive(sharedOptions);
+const playerStats = createPlayerStats(sharedOptions);
+const walletBans = createWalletBans(sharedOptions);
+const auditLog = createAuditLog(sharedOptions);
+const gameStore = createGameStore(sharedOptions);
+// One custody for new wallets and for the plaintext secrets of games saved before encryption
+const custody = new KeyCustody();
+const gameManager = new GameManager({ store: gameStore, feePolicy, archive: gameArchive, custody });
+const solanaService = new SolanaService({ custody, depositRegistry: createDepositRegistry(sharedOptions) });
+const authService = new AuthService();
+const settlementService = new SettlementService(gameManager, solanaService, { feeLedger });
+const rateLimiter = new RateLimiter();
+const matchmaker = new Matchmaker({ getRating: playerId => playerStats.getRating(playerId) });
+const practiceBots = new PracticeBots(gameManager);
+const tournaments = createTournamentManager(gameManager, solanaService, {
+  ...sharedOptions,
+  feePolicy,
+  feeLedger,
+  getRating: playerId => playerStats.getRating(playerId)
+});
+const cluster = shared ? new GameCluster(gameManager, shared.sharedState, { instanceId }) : null;
+
+if (shared) {
+  const adapterSubscriber = shared.client.duplicate();
+  await adapterSubscriber.connect();
+  io.adapter(createAdapter(shared.client, adapterSubscriber));
+}
+
+if (feePolicy.treasury && !solanaService.isValidPublicKey(feePolicy.treasury)) {
+  throw new Error('TREASURY_WALLET is not a valid Solana address');
+}
+
+// Services whose methods change a game, callable as 'service.method'
+const gameServices = { game: gameManager, settlement: settlementService };
+if (cluster) {
+  cluster.register('settlement', settlementService);
+  cluster.register('tournament', tournaments);
+  cluster.register('stats', playerStats);
+  cluster.addRole('tournaments');
+  cluster.addRole('stats');
+}
+
+// Run a state change where the game lives: here on a single server, on the owning instance in a cluster
+async function runGameAction(gameId, path, ...args) {
+  if (cluster) return cluster.run(gameId, path, ...args);
+  const [name, method] = path.split('.');
+  return gameServices[name][method](...args);
+}
+
+// Tournament changes run on the instance hosting the tournaments
+async function runTournamentAction(method, ...args) {
+  if (cluster) return cluster.runRole('tournaments', `tournament.${method}`, ...args);
+  return tournaments[method](...args);
+}
+
+// Player-wide changes (disconnects, reconnects) touch games owned by every instance
+function broadcastGameAction(path, ...args) {
+  if (cluster) return cluster.broadcast(path, ...args);
+  const [name, method] = path.split('.');
+  gameServices[name][method](...args);
+}
+
+// Expire abandoned games every 10 minutes; any deposits they hold are refunded through settlement
+setInterval(() => {
+  gameManager.cleanupOldGames();
+}, 10 * 60 * 1000);
+
+trackGameMetrics(gameManager);
+
+// Prometheus scrape endpoint; when METRICS_TOKEN is set scrapers must send it as a Bearer token
+app.get('/metrics', async (req, res) => {
+  if (process.env.METRICS_TOKEN && !hasBearerToken(req, process.env.METRICS_TOKEN)) {
+    return res.status(401).json({ success: false, error: 'Invalid metrics token', code: 'UNAUTHORIZED' });
+  }
+
+  try {
+    res.set('Content-Type', metricsRegister.contentType);
+    res.end(await metricsRegister.metrics());
+  } catch (error) {
+    log.error('Error collecting metrics', { error });
+    res.status(500).end();
+  }
+});
+
+// Matchmaking queue depth and wait times
+app.get('/queue', (req, res) => {
+  res.json({ success: true, ...matchmaker.getStats() });
+});
+
+// Upcoming, running and finished tournaments with their brackets
+app.get('/tournaments', (req, res) => {
+  res.json({ success: true, tournaments: tournaments.listTournaments() });
+});
+
+app.get('/tournaments/:tournamentId', (req, res) => {
+  const tournament = tournaments.getTournament(req.params.tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ success: false, error: 'Tournament not found', code: 'TOURNAMENT_NOT_FOUND' });
+  }
+  res.json({ success: true, tournament: tournaments.publicView(tournament) });
+});
+
+app.get('/players/:playerId', (req, res) => {
+  const profile = playerStats.getProfile(req.params.playerId);
+  if (!profile) {
+    return res.status(404).json({ success: false, error: 'No finished games for this player', code: 'PLAYER_NOT_FOUND' });
+  }
+  res.json({ success: true, profile });
+});
+
+// ?metric=profit|wins|streak&window=daily|weekly|all-time&limit= (max 100)
+app.get('/leaderboard', (req, res) => {
+  const metric = req.query.metric || 'profit';
+  const window = req.query.window || 'all-time';
+  const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+  try {
+    res.json({ success: true, metric, window, leaderboard: playerStats.getLeaderboard(metric, window, limit) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, code: 'INVALID_PAYLOAD' });
+  }
+});
+
+// History of finished games, newest first: ?limit= (max 100) and ?offset=
+app.get('/players/:playerId/games', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  try {
+    const { total, games } = await gameArchive.listByPlayer(req.params.playerId, { limit, offset });
+    res.json({
+      success: true,
+      total,
+      limit,
+      offset,
+      games: games.map(record => ({
+        id: record.id,
+        players: record.players,
+        board: record.board,
+        mode: record.mode,
+        betAmount: record.betAmount,
+        outcome: record.outcome,
+        winners: record.winners || (record.payout ? record.payout.winners : []),
+        createdAt: record.createdAt,
+        endedAt: record.endedAt
+      }))
+    });
+  } catch (error) {
+    log.error('Error listing game history', { playerId: req.params.playerId, error });
+    res.status(500).json({ success: false, error: 'Could not read the game archive', code: 'REQUEST_FAILED' });
+  }
+});
+
+app.get('/games/:gameId', async (req, res) => {
+  try {
+    const record = await gameArchive.get(req.params.gameId);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Game not found in the archive', code: 'GAME_NOT_FOUND' });
+    }
+    res.json({ success: true, game: record });
+  } catch (error) {
+    log.error('Error reading archived game', { gameId: req.params.gameId, error });
+    res.status(500).json({ success: false, error: 'Could not read the game archive', code: 'REQUEST_FAILED' });
+  }
+});
+
+// Every step of the game, or just one with ?step=n (1-based)
+app.get('/games/:gameId/replay', async (req, res) => {
+  try {
+    const record = await gameArchive.get(req.params.gameId);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Game not found in the archive', code: 'GAME_NOT_FOUND' });
+    }
+
+    const replay = buildReplay(record);
+    if (req.query.step === undefined) {
+      return res.json({ success: true, replay });
+    }
+
+    const step = parseInt(req.query.step);
+    if (!(step >= 1 && step <= replay.steps)) {
+      return res.status(400).json({ success: false, error: `step must be between 1 and ${replay.steps}`, code: 'INVALID_STEP' });
+    }
+    const { frames, ...summary } = replay;
+    res.json({ success: true, replay: { ...summary, frame: frames[step - 1] } });
+  } catch (error) {
+    log.error('Error building replay', { gameId: req.params.gameId, error });
+    res.status(500).json({ success: false, error: 'Could not read the game archive', code: 'REQUEST_FAILED' });
+  }
+});
+
+// Compare in constant time so response timing does not give the token away byte by byte;
+// timingSafeEqual needs equal lengths, and only the length can leak from that check
+function hasBearerToken(req, token) {
+  const given = Buffer.from(req.get('authorization') || '');
+  const expected = Buffer.from(`Bearer ${token}`);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Token-protected routes are only enabled when their token is set: operator routes by
+// OPERATOR_API_TOKEN, admin routes by ADMIN_API_TOKEN
+function requireToken(variable, name) {
+  return (req, res, next) => {
+    const token = process.env[variable];
+    if (!token) {
+      return res.status(503).json({ success: false, error: `${name} API is disabled`, code: `${name.toUpperCase()}_API_DISABLED` });
+    }
+    if (!hasBearerToken(req, token)) {
+      return res.status(401).json({ success: false, error: `Invalid ${name.toLowerCase()} token`, code: 'UNAUTHORIZED' });
+    }
+    next();
+  };
+}
+
+const requireOperator = requireToken('OPERATOR_API_TOKEN', 'Operator');
+const requireAdmin = requireToken('ADMIN_API_TOKEN', 'Admin');
+
+// Settlements that ran out of retries or have been pending too long
+app.get('/operator/settlements/stuck', requireOperator, (req, res) => {
+  res.json({ success: true, settlements: settlementService.getStuckSettlements() });
+});
+
+app.post('/operator/settlements/:gameId/retry', requireOperator, async (req, res) => {
+  try {
+    const status = await runGameAction(req.params.gameId, 'settlement.retry', req.params.gameId);
+    res.json({ success: true, status });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, code: 'SETTLEMENT_ERROR' });
+  }
+});
+
+// House fees collected between ?from= and ?to= (ISO dates or ms timestamps, both optional)
+app.get('/operator/fees', requireOperator, async (req, res) => {
+  const parseDate = value => (value === undefined ? undefined : (/^\d+$/.test(value) ? parseInt(value) : Date.parse(value)));
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ success: false, error: 'from and to must be dates', code: 'INVALID_PAYLOAD' });
+  }
+
+  try {
+    const records = await feeLedger.query({ from, to });
+    const sum = field => Math.round(records.reduce((total, record) => total + record[field], 0) * 1e9) / 1e9;
+
+    res.json({
+      success: true,
+      from: from === undefined ? null : new Date(from).toISOString(),
+      to: to === undefined ? null : new Date(to).toISOString(),
+      games: records.length,
+      totalPot: sum('pot'),
+      totalRake: sum('rake'),
+      totalNetworkReserve: sum('networkReserve'),
+      config: { percent: feePolicy.percent, minimum: feePolicy.minimum, treasury: feePolicy.treasury },
+      records
+    });
+  } catch (error) {
+    log.error('Error building fee report', { error });
+    res.status(500).json({ success: false, error: 'Could not read the fee ledger', code: 'REQUEST_FAILED' });
+  }
+});
+
+// Body: { status: 'paid' | 'refunded', note?, signature? } once funds were moved by hand
+app.post('/operator/settlements/:gameId/resolve', requireOperator, async (req, res) => {
+  try {
+    const settlement = await runGameAction(req.params.gameId, 'settlement.resolve', req.params.gameId, req.body || {});
+    res.json({ success: true, settlement });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, code: 'SETTLEMENT_ERROR' });
+  }
+});
+
+// Every admin request, rejected ones included, is appended to the audit log once answered.
+// Handlers describe what they did in res.locals.audit; X-Admin-Actor names who did it.
+app.use('/admin', (req, res, next) => {
+  res.on('finish', () => {
+    const { action = null, target = null, details = null } = res.locals.audit || {};
+    auditLog.record({
+      at: Date.now(),
+      actor: req.get('x-admin-actor') || null,
+      ip: req.ip,
+      method: req.method,
+      path: req.originalUrl,
+      action,
+      target,
+      details,
+      status: res.statusCode
+    }).catch(error => {
+      log.error('Error writing audit log', { path: req.originalUrl, error });
+    });
+  });
+  next();
+}, requireAdmin);
+
+// Live games with their full internal state; only the encrypted wallet secret is left out
+function adminView(game) {
+  const { gameWalletKey, ...state } = game;
+  return { ...state, spectators: gameManager.getSpectatorCount(game.id), ownedHere: gameManager.ownsGame(game.id) };
+}
+
+app.get('/admin/games', (req, res) => {
+  res.locals.audit = { action: 'list-games' };
+  const games = Array.from(gameManager.games.values())
+    .filter(game => game.state.phase !== 'ended' && game.state.phase !== 'refunded');
+  res.json({ success: true, games: games.map(adminView) });
+});
+
+app.get('/admin/games/:gameId', (req, res) => {
+  res.locals.audit = { action: 'view-game', target: req.params.gameId };
+  const game = gameManager.getGame(req.params.gameId);
+  if (!game) {
+    return res.status(404).json({ success: false, error: 'Game not found', code: 'GAME_NOT_FOUND' });
+  }
+  res.json({ success: true, game: adminView(game) });
+});
+
+// Body: { outcome: 'refund' } or { outcome: 'winners', winners: [playerId, ...] }
+app.post('/admin/games/:gameId/end', async (req, res) => {
+  const { gameId } = req.params;
+  res.locals.audit = { action: 'force-end-game', target: gameId, details: req.body || null };
+
+  try {
+    validateForceEnd(req.body);
+    if (!gameManager.getGame(gameId)) {
+      return res.status(404).json({ success: false, error: 'Game not found', code: 'GAME_NOT_FOUND' });
+    }
+    const { outcome, winners } = req.body;
+    const game = await runGameAction(gameId, 'game.forceEndGame', gameId, { outcome, winners });
+    io.emit('open-games', gameManager.getOpenGames());
+    res.json({ success: true, gameId, phase: game.state.phase, settlement: game.settlement || null });
+  } catch (error) {
+    res.status(400).json(errorResponse(error));
+  }
+});
+
+// Bans keep a wallet from creating, joining or queueing for games
+app.get('/admin/bans', (req, res) => {
+  res.locals.audit = { action: 'list-bans' };
+  res.json({ success: true, bans: walletBans.list() });
+});
+
+// Body: { wallet, reason?, durationMs? } (no duration bans until unbanned)
+app.post('/admin/bans', async (req, res) => {
+  res.locals.audit = { action: 'ban-wallet', target: req.body && req.body.wallet, details: req.body || null };
+
+  try {
+    validateWalletBan(req.body);
+    const { wallet, reason, durationMs } = req.body;
+    if (!solanaService.isValidPublicKey(wallet)) {
+      return res.status(400).json({ success: false, error: 'wallet must be a valid Solana address', code: 'INVALID_PAYLOAD' });
+    }
+
+    const ban = await walletBans.ban(wallet, { reason, durationMs, bannedBy: req.get('x-admin-actor') || null });
+    matchmaker.leave(wallet);
+    res.json({ success: true, ban });
+  } catch (error) {
+    res.status(400).json(errorResponse(error));
+  }
+});
+
+app.delete('/admin/bans/:wallet', async (req, res) => {
+  res.locals.audit = { action: 'unban-wallet', target: req.params.wallet };
+
+  try {
+    if (!await walletBans.unban(req.params.wallet)) {
+      return res.status(404).json({ success: false, error: 'Wallet is not banned', code: 'NOT_BANNED' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    log.error('Error unbanning wallet', { playerId: req.params.wallet, error });
+    res.status(500).json({ success: false, error: 'Could not remove the ban', code: 'REQUEST_FAILED' });
+  }
+});
+
+// Settlements still retrying or waiting for an operator
+app.get('/admin/settlements', (req, res) => {
+  res.locals.audit = { action: 'list-settlements' };
+  res.json({ success: true, settlements: settlementService.getPendingSettlements() });
+});
+
+// Body: { message, level?: 'info' | 'warning' | 'critical' }, sent to every connected socket
+app.post('/admin/notices', (req, res) => {
+  res.locals.audit = { action: 'broadcast-notice', details: req.body || null };
+
+  try {
+    validateNotice(req.body);
+    const notice = { message: req.body.message, level: req.body.level || 'info', sentAt: Date.now() };
+    io.emit('maintenance-notice', notice);
+    res.json({ success: true, notice });
+  } catch (error) {
+    res.status(400).json(errorResponse(error));
+  }
+});
+
+// Body: { name, format?, swissRounds?, entryFee, minPlayers?, maxPlayers, size, bombs, mode?,
+// rounds?, payoutTable: [share of 1st, share of 2nd, ...], startsAt }
+app.post('/admin/tournaments', async (req, res) => {
+  res.locals.audit = { action: 'create-tournament', details: req.body || null };
+
+  try {
+    validateCreateTournament(req.body);
+    const tournament = await runTournamentAction('createTournament', req.body);
+    res.locals.audit.target = tournament.id;
+    res.json({ success: true, tournament: tournaments.publicView(tournament) });
+  } catch (error) {
+    res.status(400).json(errorResponse(error));
+  }
+});
+
+// Body: { reason? }; every entry fee is refunded
+app.post('/admin/tournaments/:tournamentId/cancel', async (req, res) => {
+  const { tournamentId } = req.params;
+  res.locals.audit = { action: 'cancel-tournament', target: tournamentId, details: req.body || null };
+
+  try {
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason : 'Cancelled by an admin';
+    const tournament = await runTournamentAction('cancel', tournamentId, reason);
+    res.json({ success: true, tournament: tournaments.publicView(tournament) });
+  } catch (error) {
+    res.status(400).json(errorResponse(error));
+  }
+});
+
+// Start a failed payout or refund over with a fresh set of attempts
+app.post('/admin/tournaments/:tournamentId/settle', async (req, res) => {
+  const { tournamentId } = req.params;
+  res.locals.audit = { action: 'retry-tournament-settlement', target: tournamentId };
+
+  try {
+    const { status, settlement } = await runTournamentAction('retrySettlement', tournamentId);
+    res.json({ success: true, status, settlement });
+  } catch (error) {
+    res.status(400).json(errorResponse(error));
+  }
+});
+
+// ?limit= (max 200), ?offset= and ?action= to filter
+app.get('/admin/audit', async (req, res) => {
+  res.locals.audit = { action: 'view-audit-log' };
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  try {
+    const { total, entries } = await auditLog.list({ limit, offset, action: req.query.action });
+    res.json({ success: true, total, limit, offset, entries });
+  } catch (error) {
+    log.error('Error reading audit log', { error });
+    res.status(500).json({ success: false, error: 'Could not read the audit log', code: 'REQUEST_FAILED' });
+  }
+});
+
+// Send a game event with a separate view per recipient: each seated player gets their own
+// projection on their wallet room, everyone else in the game room (spectators, pending
+// joiners) gets the public one
+function emitProjected(gameId, event, project) {
+  const game = gameManager.getGame(gameId);
+  if (!game) return;
+
+  const playerRooms = game.players.map(playerId => `player:${playerId}`);
+  for (const playerId of game.players) {
+    io.to(`player:${playerId}`).emit(event, project(game, playerId));
+  }
+  io.to(gameId).except(playerRooms).emit(event, project(game, null));
+}
+
+// GameManager owns every phase change; the server only relays its events and settles outcomes
+gameManager.on('phaseChanged', ({ gameId, from, to }) => {
+  if (from === 'waiting' && to === 'placement') {
+    // The last seat was filled and the game started by itself
+    emitProjected(gameId, 'game-started', projectGame);
+    io.emit('open-games', gameManager.getOpenGames());
+  }
+  emitProjected(gameId, 'game-state-update', projectState);
+});
+
+gameManager.on('turnChanged', ({ gameId }) => {
+  emitProjected(gameId, 'game-state-update', projectState);
+});
+
+gameManager.on('gameResumed', ({ gameId }) => {
+  emitProjected(gameId, 'game-state-update', projectState);
+});
+
+gameManager.on('playerDisconnected', ({ gameId, playerId, graceEndsAt, paused }) => {
+  const game = gameManager.getGame(gameId);
+  io.to(gameId).emit('player-disconnected', { playerId, graceEndsAt, paused });
+  if (game) {
+    emitProjected(gameId, 'game-state-update', projectState);
+  }
+});
+
+gameManager.on('playerReconnected', ({ gameId, playerId }) => {
+  io.to(gameId).emit('player-reconnected', { playerId });
+});
+
+gameManager.on('playerLeft', ({ gameId, playerId, deposit }) => {
+  const game = gameManager.getGame(gameId);
+  io.to(gameId).emit('player-left', { playerId, seatsFilled: game.players.length, seatsTotal: game.maxPlayers });
+  io.emit('open-games', gameManager.getOpenGames());
+  if (deposit) settlementService.refundLeaver(gameId, playerId);
+});
+
+gameManager.on('roundEnded', ({ gameId, result, scores }) => {
+  io.to(gameId).emit('round-ended', { result, scores });
+});
+
+gameManager.on('tick', ({ gameId, timeLeft }) => {
+  io.to(gameId).emit('timer-tick', { timeLeft });
+});
+
+gameManager.on('fieldRevealed', ({ gameId, playerId, x, y, content }) => {
+  io.to(gameId).emit('field-revealed', { playerId, x, y, content });
+});
+
+gameManager.on('playerEliminated', ({ gameId, playerId, reason }) => {
+  io.to(gameId).emit('player-eliminated', { playerId, reason });
+});
+
+// Create the game for a matched pair; both players get their deposit transaction to sign.
+// The first player is the creator and the second already holds the only other seat.
+matchmaker.on('matchFound', async ({ players, settings }) => {
+  const [creator, opponent] = players;
+
+  try {
+    const gameWallet = await solanaService.createGameWallet();
+    const game = gameManager.createGame({
+      ...settings,
+      creator,
+      matchmade: true,
+      gameWallet: gameWallet.publicKey,
+      gameWalletKey: gameWallet.encryptedSecret
+    });
+    gameManager.reserveSeat(game.id, opponent, 5 * 60 * 1000);
+
+    for (const playerId of players) {
+      const depositTransaction = await solanaService.buildDepositTransaction(playerId, game.gameWallet, game.betAmount);
+      io.in(`player:${playerId}`).socketsJoin(game.id);
+      io.to(`player:${playerId}`).emit('match-found', { game: projectGame(game, playerId), depositTransaction });
+    }
+    log.info('Matchmade game created', { gameId: game.id, players });
+  } catch (error) {
+    log.error('Error creating matchmade game', { players, error });
+    for (const playerId of players) {
+      io.to(`player:${playerId}`).emit('match-failed', { error: 'Could not create the game, please queue again' });
+    }
+  }
+});
+
+// A match game ended here while another instance hosts the tournaments
+tournaments.on('matchResult', ({ tournamentId, matchId, winners, scores }) => {
+  runTournamentAction('recordMatchResult', tournamentId, matchId, winners, scores).catch(error => {
+    log.error('Error reporting tournament match result', { tournamentId, matchId, error });
+  });
+});
+
+tournaments.on('tournamentUpdated', ({ tournament }) => {
+  io.emit('tournament-updated', tournaments.publicView(tournament));
+});
+
+// Both players are asked to check in with 'tournament-ready' before the deadline
+tournaments.on('matchReady', ({ tournamentId, match }) => {
+  for (const playerId of match.players) {
+    io.to(`player:${playerId}`).emit('tournament-match', { tournamentId, match });
+  }
+});
+
+// Join both players to the room before the second seat is taken, so the game start reaches them
+tournaments.on('matchCreated', ({ tournamentId, match, gameId }) => {
+  for (const playerId of match.players) {
+    io.in(`player:${playerId}`).socketsJoin(gameId);
+    io.to(`player:${playerId}`).emit('tournament-game', { tournamentId, matchId: match.id, gameId });
+  }
+});
+
+gameManager.on('spectatorsChanged', ({ gameId, spectators }) => {
+  io.to(gameId).emit('spectator-count', { gameId, spectators });
+});
+
+matchmaker.on('queueChanged', () => {
+  io.emit('queue-stats', matchmaker.getStats());
+});
+
+// In a cluster one instance records every game, so two games ending at once on different
+// instances cannot overwrite each other's changes to a player
+gameManager.on('gameArchived', ({ gameId, record }) => {
+  const recorded = cluster ? cluster.runRole('stats', 'stats.recordGame', record) : playerStats.recordGame(record);
+  recorded.catch(error => {
+    log.error('Error updating player stats', { gameId, error });
+  });
+});
+
+gameManager.on('gameEnded', ({ gameId, winner, winners, reason }) => {
+  // Reveal every layout, salt and the server seed so clients can check the commitments
+  const verification = gameManager.getVerificationBundle(gameId);
+
+  if (winner) {
+    const game = gameManager.getGame(gameId);
+    const shares = game && game.payout ? game.payout.shares.map(({ playerId, amount }) => ({ playerId, amount })) : [];
+    io.to(gameId).emit('game-winner', { winner, winners, shares, reason, verification });
+  } else {
+    io.to(gameId).emit('game-cancelled', { reason, verification });
+  }
+  settlementService.settle(gameId);
+});
+
+// Acknowledge a socket event if the client asked for an acknowledgement
+function acknowledge(callback, payload) {
+  if (typeof callback === 'function') {
+    callback(payload);
+  }
+}
+
+function errorResponse(error, fallbackCode = 'REQUEST_FAILED') {
+  return { success: false, error: error.message, code: error.code || fallbackCode, ...error.details };
+}
+
+// Behind a reverse proxy the client address comes from X-Forwarded-For
+function clientIp(socket) {
+  if (process.env.TRUST_PROXY === 'true') {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (forwarded) return forwarded.split(',')[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+// Connection caps and IP bans are enforced before a socket is accepted; the client receives
+// a connect_error whose `data` carries the code
+io.use((socket, next) => {
+  const ip = clientIp(socket);
+  try {
+    rateLimiter.checkConnection(ip);
+  } catch (error) {
+    const rejection = new Error(error.message);
+    rejection.data = { code: error.code, ...error.details };
+    return next(rejection);
+  }
+
+  socket.data.ip = ip;
+  rateLimiter.addConnection(ip);
+  socket.on('disconnect', () => rateLimiter.removeConnection(ip));
+  next();
+});
+
+// A new ban also drops the offender's open connections
+rateLimiter.on('banned', ({ subject }) => {
+  if (subject.startsWith('wallet:')) {
+    io.in(`player:${subject.slice('wallet:'.length)}`).disconnectSockets(true);
+    return;
+  }
+  for (const socket of io.sockets.sockets.values()) {
+    if (`ip:${socket.data.ip}` === subject) socket.disconnect(true);
+  }
+});
+
+setInterval(() => {
+  rateLimiter.sweep();
+}, 60 * 1000);
+
+function requireGame(gameId) {
+  const game = gameManager.getGame(gameId);
+  if (!game) throw new ValidationError('GAME_NOT_FOUND', 'Game not found');
+  return game;
+}
+
+// Spectating sockets are read-only for the game they watch
+function rejectSpectator(socket, gameId) {
+  if (gameManager.isSpectator(gameId, socket.id)) {
+    throw new ValidationError('SPECTATOR_READ_ONLY', 'Spectators cannot act in this game');
+  }
+}
 
 io.on('connection', (socket) => {
-  console.log(`Player connected: ${socket.id}`);
+  const socketLog = log.child({ socketId: socket.id });
+  socketLog.info('Socket connected', { ip: socket.data.ip });
+  metrics.activeSockets.inc();
+
+  // Every event passes the rate limiter first. Rejected events are answered through their
+  // acknowledgement when they have one, otherwise with a 'rate-limited' event.
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const session = authService.getSession(socket.id);
+    try {
+      rateLimiter.checkEvent(event, socket.data.ip, session ? session.playerId : null);
+      next();
+    } catch (error) {
+      const callback = args[args.length - 1];
+      if (typeof callback === 'function') {
+        callback(errorResponse(error));
+      } else {
+        socket.emit('rate-limited', errorResponse(error));
+      }
+    }
+  });
   
-  const playerId = socket.handshake.query.playerId;
+  // Step 1 of the handshake: hand the client a nonce to sign with its wallet
+  socket.on('auth-challenge', (callback) => {
+    const challenge = authService.createChallenge(socket.id);
+    acknowledge(callback, { success: true, message: challenge.message, expiresAt: challenge.expiresAt });
+  });
+
+  // Step 2: verify the signed nonce and bind the wallet to this socket
+  socket.on('auth-verify', (data, callback) => {
+    try {
+      validateAuthVerify(data);
+      const session = authService.verifyChallenge(socket.id, data.publicKey, data.signature);
+      try {
+        rateLimiter.assertNotBanned(`wallet:${session.playerId}`);
+      } catch (error) {
+        authService.endSession(socket.id);
+        throw error;
+      }
+      acknowledge(callback, { success: true, playerId: session.playerId, expiresAt: session.expiresAt });
+      // Per-wallet room, for messages addressed to a player rather than a game
+      socket.join(`player:${session.playerId}`);
+
+      // A returning player (inside their grace window or on a second socket) rejoins their
+      // rooms and gets a full snapshot of every game they are seated in
+      broadcastGameAction('game.handlePlayerReconnect', session.playerId);
+      for (const game of gameManager.getPlayerGames(session.playerId)) {
+        socket.join(game.id);
+        socket.emit('game-snapshot', {
+          game: projectGame(game, session.playerId),
+          ...gameManager.getPrivateView(game.id, session.playerId)
+        });
+      }
+    } catch (error) {
+      socketLog.warn('Authentication failed', { playerId: data && data.publicKey, error: error.message });
+      acknowledge(callback, errorResponse(error, 'AUTH_FAILED'));
+    }
+  });
   
   socket.on('create-game', async (gameData, callback) => {
     try {
-      console.log('Creating game:', gameData);
+      const playerId = authService.requirePlayer(socket.id);
+      walletBans.assertAllowed(playerId);
+      validateCreateGame(gameData);
+      rateLimiter.checkOpenGames(gameManager.getOpenGameCount(playerId));
+      socketLog.info('Creating game', { playerId, size: gameData.size, bombs: gameData.bombs, betAmount: gameData.betAmount, mode: gameData.mode });
+
+      const invitedPlayers = gameData.invitedPlayers || [];
+      if (invitedPlayers.some(wallet => !solanaService.isValidPublicKey(wallet) || wallet === playerId)) {
+        return acknowledge(callback, { success: false, error: 'invitedPlayers must be other valid wallets', code: 'INVALID_PAYLOAD' });
+      }
       
       // Create a new game wallet for this specific game
       const gameWallet = await solanaService.createGameWallet();
-      console.log('Created game wallet:', gameWallet.publicKey.toString());
       
       // Create the game with the new wallet
       const game = gameManager.createGame({
-        ...gameData,
-        gameWallet: gameWallet.publicKey.toString(),
-        gameWalletSecret: Array.from(gameWallet.secretKey)
+        size: gameData.size,
+        bombs: gameData.bombs,
+        betAmount: gameData.betAmount,
+        mode: gameData.mode,
+        rounds: gameData.rounds,
+        maxPlayers: gameData.maxPlayers,
+        payoutRule: gameData.payoutRule,
+        private: gameData.private,
+        invitedPlayers,
+        creator: playerId,
+        gameWallet: gameWallet.publicKey,
+        gameWalletKey: gameWallet.encryptedSecret
       });
 
       socket.join(game.id);
+
+      // The creator signs and submits this, then reports the signature via 'confirm-deposit'
+      const depositTransaction = await solanaService.buildDepositTransaction(playerId, game.gameWallet, game.betAmount);
       
       // Return the game data including the wallet address
       const gameResponse = {
         success: true,
-        game: {
-          ...game,
-          gameWallet: gameWallet.publicKey.toString()
-        }
+        game: projectGame(game, playerId),
+        depositTransaction,
+        // Only the creator ever receives the code, to share with whoever they want to play
+        inviteCode: game.inviteCode
       };
       
-      callback(gameResponse);
-      console.log('Game creation response sent:', gameResponse);
-      
-      // Immediately broadcast the new game to all clients so it appears in "Open Games"
-      io.emit('open-games', gameManager.getOpenGames());
-      console.log('Game created and broadcasted to open games list');
-      
-      // Also emit to the creator that they joined their own game (for UI updates)
-      socket.emit('game-joined', game);
+      acknowledge(callback, gameResponse);
+      socketLog.info('Game created, awaiting creator deposit', { gameId: game.id, playerId });
       
     } catch (error) {
-      console.error('Error creating game:', error);
-      callback({ success: false, error: error.message });
+      socketLog.error('Error creating game', { error });
+      acknowledge(callback, errorResponse(error));
+    }
+  });
+
+  // Zero-stake game against the server's bot: no wallet, no deposit, nothing settled on-chain.
+  // The bot takes the second seat straight away, which starts the game.
+  socket.on('create-practice-game', (data, callback) => {
+    try {
+      const playerId = authService.requirePlayer(socket.id);
+      validatePracticeGame(data);
+      if (gameManager.getPlayerGames(playerId).some(game => game.practice)) {
+        return acknowledge(callback, { success: false, error: 'Finish your current practice game first', code: 'PRACTICE_IN_PROGRESS' });
+      }
+
+      const game = practiceBots.createGame(playerId, data);
+      socket.join(game.id);
+      acknowledge(callback, { success: true, game: projectGame(game, playerId) });
+
+      practiceBots.seatBot(game.id);
+      socketLog.info('Practice game started', { gameId: game.id, playerId, ...game.practice });
+    } catch (error) {
+      socketLog.error('Error creating practice game', { error });
+      acknowledge(callback, errorResponse(error));
+    }
+  });
+
+  socket.on('get-tournaments', (data, callback) => {
+    acknowledge(callback, { success: true, tournaments: tournaments.listTournaments() });
+  });
+
+  // Hold a place and hand back the entry fee transaction; the signature comes back through
+  // 'tournament-confirm-entry'
+  socket.on('tournament-register', async (data, callback) => {
+    try {
+      const playerId = authService.requirePlayer(socket.id);
+      walletBans.assertAllowed(playerId);
+      validateTournamentId(data);
+      const tournament = tournaments.getTournament(data.tournamentId);
+      if (!tournament) throw new ValidationError('TOURNAMENT_NOT_FOUND', 'Tournament not found');
+
+      const validation = await solanaService.validateBet(playerId, tournament.entryFee);
+      if (!validation.valid) {
+        return acknowledge(callback, { success: false, error: 'You have insufficient funds', code: 'INSUFFICIENT_FUNDS' });
+      }
+
+      const hold = await runTournamentAction('register', tournament.id, playerId);
+      const depositTransaction = await solanaService.buildDepositTransaction(playerId, tournament.wallet, tournament.entryFee);
+      acknowledge(callback, { success: true, tournament: tournaments.publicView(tournament), depositTransaction, expiresAt: hold.expiresAt });
+      socketLog.info('Tournament place held, awaiting entry fee', { tournamentId: tournament.id, playerId });
+    } catch (error) {
+      socketLog.error('Error registering for tournament', { tournamentId: data && data.tournamentId, error });
+      acknowledge(callback, errorResponse(error));
+    }
+  });
+
+  socket.on('tournament-confirm-entry', async (data, callback) => {
+    try {
+      const playerId = authService.requirePlayer(socket.id);
+      validateTournamentEntry(data);
+      const tournament = tournaments.getTournament(data.tournamentId);
+      if (!tournament) throw new ValidationError('TOURNAMENT_NOT_FOUND', 'Tournament not found');
+
+      const deposit = await solanaService.verifyDeposit(data.signature, playerId, tournament.wallet, tournament.entryFee);
+      const entered = await runTournamentAction('recordEntry', tournament.id, playerId, deposit);
+      acknowledge(callback, { success: true, tournament: tournaments.publicView(entered) });
+    } catch (error) {
+      socketLog.error('Error confirming tournament entry', { tournamentId: data && data.tournamentId, error });
+      acknowledge(callback, errorResponse(error));
+    }
+  });
+
+  // Check in for this round's match; the game is created once both players have
+  socket.on('tournament-ready', async (data, callback) => {
+    try {
+      const playerId = authService.requirePlayer(socket.id);
+      validateTournamentId(data);
+      const match = await runTournamentAction('checkIn', data.tournamentId, playerId);
+      acknowledge(callback, { success: true, match });
+    } catch (error) {
+      acknowledge(callback, errorResponse(error));
     }
   });
 
   socket.on('join-game', async (data, callback) => {
     try {
-      console.log('Joining game:', data);
+      const playerId = authService.requirePlayer(socket.id);
+      walletBans.assertAllowed(playerId);
+      validateJoinGame(data);
       
-      const game = gameManager.getGame(data.gameId);
-      if (!game) {
-        console.error('Game not found:', data.gameId);
-        return callback({ success: false, error: 'Game not found' });
+      let game;
+      if (data.inviteCode !== undefined) {
+        game = gameManager.findGameByInviteCode(data.inviteCode);
+        if (!game) throw new ValidationError('INVALID_INVITE_CODE', 'Invite code is invalid or has expired');
+      } else {
+        game = requireGame(data.gameId);
       }
+      rejectSpectator(socket, game.id);
 
       if (game.status !== 'waiting') {
-        console.error('Game not available for joining:', game.status);
-        return callback({ success: false, error: 'Game is no longer available' });
+        socketLog.warn('Game not available for joining', { gameId: game.id, playerId, status: game.status });
+        return acknowledge(callback, { success: false, error: 'Game is no longer available', code: 'GAME_UNAVAILABLE' });
       }
 
-      if (game.opponent) {
-        console.error('Game already full');
-        return callback({ success: false, error: 'Game is already full' });
+      if (!gameManager.canJoin(game, playerId, data.inviteCode)) {
+        return acknowledge(callback, { success: false, error: 'This game is private', code: 'INVITE_REQUIRED' });
       }
 
-      if (game.creator === data.playerId) {
-        console.error('Player trying to join own game');
-        return callback({ success: false, error: 'Cannot join your own game' });
+      if (game.players.length >= game.maxPlayers) {
+        socketLog.warn('Game already full', { gameId: game.id, playerId });
+        return acknowledge(callback, { success: false, error: 'Game is already full', code: 'GAME_FULL' });
       }
 
-      if (!data.playerId) {
-        console.error('No player ID provided');
-        return callback({ success: false, error: 'Player ID is required' });
+      if (game.creator === playerId) {
+        socketLog.warn('Player trying to join own game', { gameId: game.id, playerId });
+        return acknowledge(callback, { success: false, error: 'Cannot join your own game', code: 'OWN_GAME' });
       }
 
-      if (!data.betAmount || data.betAmount !== game.betAmount) {
-        console.error('Invalid bet amount:', data.betAmount, 'expected:', game.betAmount);
-        return callback({ success: false, error: `Bet amount must be exactly ${game.betAmount} SOL` });
-        return;
+      if (game.players.includes(playerId)) {
+        return acknowledge(callback, { success: false, error: 'Already seated in this game', code: 'ALREADY_JOINED' });
+      }
+
+      if (data.betAmount !== game.betAmount) {
+        socketLog.warn('Invalid bet amount', { gameId: game.id, playerId, betAmount: data.betAmount, expected: game.betAmount });
+        return acknowledge(callback, { success: false, error: `Bet amount must be exactly ${game.betAmount} SOL`, code: 'INVALID_BET_AMOUNT' });
       }
 
-      console.log('Validating player funds...');
-      const joinerValidation = await solanaService.validateBet(data.playerId, data.betAmount);
+      const joinerValidation = await solanaService.validateBet(playerId, data.betAmount);
       
       if (!joinerValidation.valid) {
-        console.error('Joiner has insufficient funds');
-        return callback({ success: false, error: 'You have insufficient funds' });
+        socketLog.warn('Joiner has insufficient funds', { gameId: game.id, playerId });
+        return acknowledge(callback, { success: false, error: 'You have insufficient funds', code: 'INSUFFICIENT_FUNDS' });
       }
 
-      console.log('Processing bet transfers...');
-      const gameWallet = new PublicKey(game.gameWallet);
-      
-      // Transfer joining player's bet to the game wallet
-      await solanaService.transferBet(data.playerId, gameWallet, data.betAmount);
-      console.log(`Player ${data.playerId} transferred ${data.betAmount} SOL to game wallet`);
-      console.log(`Game wallet now has ${game.betAmount * 2} SOL total prize pool (creator already deposited when creating game)`);
+      // Hold the seat while the joiner signs and submits their deposit
+      await runGameAction(game.id, 'game.reserveSeat', game.id, playerId);
+      const depositTransaction = await solanaService.buildDepositTransaction(playerId, game.gameWallet, game.betAmount);
 
-      // Add the player to the game
-      const updatedGame = gameManager.joinGame(data.gameId, data.playerId);
+      acknowledge(callback, { success: true, gameId: game.id, depositTransaction });
+      socketLog.info('Seat reserved, awaiting deposit', { gameId: game.id, playerId });
       
-      console.log('Player successfully joined game:', updatedGame.id);
+    } catch (error) {
+      socketLog.error('Error joining game', { gameId: data && data.gameId, error });
+      acknowledge(callback, errorResponse(error));
+    }
+  });
+
+  // The creator and every joiner report their submitted deposit here
+  socket.on('confirm-deposit', async (data, callback) => {
+    try {
+      const playerId = authService.requirePlayer(socket.id);
+      validateConfirmDeposit(data);
+      const game = requireGame(data.gameId);
+      rejectSpectator(socket, game.id);
+
+      const isCreator = game.creator === playerId;
+      const isSeated = game.players.includes(playerId);
+      if (isCreator && game.status !== 'awaiting-deposit') {
+        return acknowledge(callback, { success: false, error: 'Deposit already confirmed', code: 'DEPOSIT_ALREADY_CONFIRMED' });
+      }
+      if (!isCreator && isSeated) {
+        return acknowledge(callback, { success: false, error: 'Already seated in this game', code: 'ALREADY_JOINED' });
+      }
+      if (!isCreator) {
+        // Rejects a lapsed hold before anything is checked on-chain
+        await runGameAction(data.gameId, 'game.requireSeatHold', data.gameId, playerId);
+      }
+
+      const deposit = await solanaService.verifyDeposit(data.signature, playerId, game.gameWallet, game.betAmount);
+      const funded = await runGameAction(data.gameId, 'game.recordDeposit', data.gameId, playerId, deposit);
+
+      if (isCreator) {
+        // Matched opponents may have paid in before the creator did
+        const opened = await runGameAction(data.gameId, 'game.seatPendingJoiners', data.gameId);
+
+        acknowledge(callback, { success: true, game: projectGame(opened, playerId) });
+
+        // Broadcast the funded game to all clients so it appears in "Open Games" (private games stay unlisted)
+        io.emit('open-games', gameManager.getOpenGames());
+        socketLog.info('Game funded and listed', { gameId: data.gameId, playerId });
+
+        // Named wallets that are online hear about their invitation straight away
+        for (const invitedId of opened.invitedPlayers || []) {
+          io.to(`player:${invitedId}`).emit('game-invite', { game: projectGame(opened, null), from: playerId });
+        }
+
+        // Also emit to the creator that they joined their own game (for UI updates)
+        socket.emit('game-joined', projectGame(opened, playerId));
+        return;
+      }
+
+      if (!funded.deposits[funded.creator]) {
+        // Seated as soon as the creator's deposit arrives
+        socket.join(data.gameId);
+        return acknowledge(callback, { success: true, game: projectGame(funded, playerId), waitingForCreator: true });
+      }
+
+      // Join the room first: taking the last seat starts the game, and the phase change is relayed to the room
       socket.join(data.gameId);
+
+      // Add the player to the game
+      let updatedGame;
+      try {
+        updatedGame = await runGameAction(data.gameId, 'game.joinGame', data.gameId, playerId);
+      } catch (error) {
+        // The hold lapsed while the deposit was confirming and the seat went to someone else.
+        // The deposit is recorded, so settlement sends it back.
+        socket.leave(data.gameId);
+        socketLog.warn('Deposit arrived after the seat was lost', { gameId: data.gameId, playerId, error: error.message });
+        return acknowledge(callback, {
+          success: false,
+          error: 'Your seat was taken before the deposit confirmed; it will be refunded when the game settles',
+          code: 'SEAT_LOST'
+        });
+      }
+      socketLog.info('Prize pool grew', { gameId: data.gameId, playerId, pot: game.betAmount * updatedGame.players.length });
       
-      const response = { success: true, game: updatedGame };
-      callback(response);
-      
-      // Notify both players that the game is starting
-      io.to(data.gameId).emit('game-started', updatedGame);
-      
-      // Start the game (bomb placement phase)
-      gameManager.startGame(data.gameId);
+      const response = { success: true, game: projectGame(updatedGame, playerId) };
+      acknowledge(callback, response);
       
-      // Send initial game state to both players
-      const gameState = {
-        phase: 'placement',
-        round: 1,
-        currentPlayer: '',
-        timeLeft: 10
-      };
-      io.to(data.gameId).emit('game-state-update', gameState);
+      io.to(data.gameId).emit('player-joined', {
+        playerId,
+        seatsFilled: updatedGame.players.length,
+        seatsTotal: updatedGame.maxPlayers
+      });
       
-      // Remove this game from open games list since it's now full
+      // Update seat counts in the open games list (a full game has already dropped out of it)
       io.emit('open-games', gameManager.getOpenGames());
-      console.log('Game started with both players, removed from open games');
       
     } catch (error) {
-      console.error('Error joining game:', error);
-      callback({ success: false, error: error.message });
+      socketLog.error('Error confirming deposit', { gameId: data && data.gameId, error });
+      acknowledge(callback, errorResponse(error));
+    }
+  });
+
+  socket.on('queue-join', async (data, callback) => {
+    try {
+      const playerId = authService.requirePlayer(socket.id);
+      walletBans.assertAllowed(playerId);
+      validateQueueJoin(data);
+
+      // Funds must cover the largest bet the player is willing to be matched at
+      const validation = await solanaService.validateBet(playerId, Math.max(...[].concat(data.betAmount)));
+      if (!validation.valid) {
+        return acknowledge(callback, { success: false, error: 'You have insufficient funds', code: 'INSUFFICIENT_FUNDS' });
+      }
+
+      const status = matchmaker.join(playerId, data);
+      acknowledge(callback, { success: true, ...status });
+    } catch (error) {
+      socketLog.error('Error joining queue', { error });
+      acknowledge(callback, errorResponse(error));
+    }
+  });
+
+  socket.on('queue-leave', (data, callback) => {
+    try {
+      const playerId = authService.requirePlayer(socket.id);
+      const left = matchmaker.leave(playerId);
+      acknowledge(callback, { success: true, left, ...matchmaker.getStats() });
+    } catch (error) {
+      acknowledge(callback, errorResponse(error));
+    }
+  });
+
+  socket.on('queue-status', (data, callback) => {
+    try {
+      const playerId = authService.requirePlayer(socket.id);
+      acknowledge(callback, { success: true, ...matchmaker.getStatus(playerId) });
+    } catch (error) {
+      acknowledge(callback, errorResponse(error));
     }
   });
 
@@ -186,79 +1167,166 @@ io.on('connection', (socket) => {
     socket.emit('open-games', gameManager.getOpenGames());
   });
 
-  socket.on('confirm-bomb-placement', (data) => {
+  socket.on('get-live-games', (data, callback) => {
+    acknowledge(callback, { success: true, games: gameManager.getLiveGames() });
+  });
+
+  // Watching needs no wallet; a signed-in player cannot watch a game they are seated in
+  socket.on('spectate-game', (data, callback) => {
     try {
-      const { gameId, bombs } = data;
-      gameManager.confirmBombPlacement(gameId, playerId, bombs);
-      
-      // Check if both players confirmed
-      const game = gameManager.getGame(gameId);
-      if (game && game.bothPlayersReady) {
-        setTimeout(() => {
-          gameManager.startGameplayPhase(gameId);
-          const updatedGame = gameManager.getGame(gameId);
-          if (updatedGame) {
-            io.to(gameId).emit('game-state-update', updatedGame.state);
-          }
-        }, 1000); // Small delay to ensure smooth transition
+      validateSpectate(data);
+      const session = authService.getSession(socket.id);
+      const game = gameManager.addSpectator(data.gameId, socket.id, session ? session.playerId : null, data.inviteCode);
+
+      socket.join(game.id);
+      acknowledge(callback, { success: true, game: projectGame(game, null), spectators: gameManager.getSpectatorCount(game.id) });
+      io.emit('open-games', gameManager.getOpenGames());
+    } catch (error) {
+      socketLog.warn('Error spectating game', { gameId: data && data.gameId, error: error.message });
+      acknowledge(callback, errorResponse(error, 'SPECTATE_FAILED'));
+    }
+  });
+
+  socket.on('stop-spectating', (data, callback) => {
+    try {
+      validateGameId(data);
+      if (gameManager.removeSpectator(data.gameId, socket.id)) {
+        socket.leave(data.gameId);
+        io.emit('open-games', gameManager.getOpenGames());
       }
+      acknowledge(callback, { success: true });
     } catch (error) {
-      console.error('Error confirming bomb placement:', error);
+      acknowledge(callback, errorResponse(error));
     }
   });
 
-  socket.on('reveal-field', async (data) => {
+  socket.on('confirm-bomb-placement', async (data, callback) => {
     try {
+      const playerId = authService.requirePlayer(socket.id);
+      validateGameId(data);
+      const game = requireGame(data.gameId);
+      rejectSpectator(socket, game.id);
+      validateBombPlacement(data, game);
+
+      const { gameId, bombs, salt, commitment } = data;
+      await runGameAction(gameId, 'game.confirmBombPlacement', gameId, playerId, bombs, salt, commitment);
+      acknowledge(callback, { success: true });
+    } catch (error) {
+      socketLog.error('Error confirming bomb placement', { gameId: data && data.gameId, error });
+      acknowledge(callback, errorResponse(error));
+    }
+  });
+
+  socket.on('reveal-field', async (data, callback) => {
+    const endTimer = metrics.revealDuration.startTimer();
+    try {
+      const playerId = authService.requirePlayer(socket.id);
+      validateGameId(data);
+      const game = requireGame(data.gameId);
+      rejectSpectator(socket, game.id);
+      validateReveal(data, game);
+
       const { gameId, x, y } = data;
-      const result = gameManager.revealField(gameId, playerId, x, y);
-      
-      if (result.gameEnded) {
-        // Handle game end and payout
-        const game = gameManager.getGame(gameId);
-        if (game && result.winner) {
-          await solanaService.payoutWinner(
-            new Uint8Array(game.gameWalletSecret),
-            result.winner,
-            game.betAmount * 2
-          );
-        }
-        
-        io.to(gameId).emit('game-winner', { winner: result.winner });
-        gameManager.endGame(gameId);
-      } else {
-        io.to(gameId).emit('field-revealed', { x, y, content: result.content });
-        const updatedGame = gameManager.getGame(gameId);
-        if (updatedGame) {
-          io.to(gameId).emit('game-state-update', updatedGame.state);
-        }
-      }
+      const result = await runGameAction(gameId, 'game.revealField', gameId, playerId, x, y);
+      acknowledge(callback, { success: true, content: result.content });
+      endTimer({ result: 'success' });
     } catch (error) {
-      console.error('Error revealing field:', error);
+      socketLog.error('Error revealing field', { gameId: data && data.gameId, error });
+      acknowledge(callback, errorResponse(error));
+      endTimer({ result: 'error' });
     }
   });
 
-  socket.on('exit-game', (data) => {
+  socket.on('exit-game', async (data, callback) => {
     try {
-      gameManager.exitGame(data.gameId, playerId);
+      const playerId = authService.requirePlayer(socket.id);
+      validateGameId(data);
+      rejectSpectator(socket, data.gameId);
+      await runGameAction(data.gameId, 'game.exitGame', data.gameId, playerId);
       socket.leave(data.gameId);
       io.emit('open-games', gameManager.getOpenGames());
+      acknowledge(callback, { success: true });
     } catch (error) {
-      console.error('Error exiting game:', error);
+      socketLog.error('Error exiting game', { gameId: data && data.gameId, error });
+      acknowledge(callback, errorResponse(error));
     }
   });
 
-  socket.on('disconnect', () => {
-    console.log(`Player disconnected: ${socket.id}`);
-    gameManager.handlePlayerDisconnect(playerId);
+  socket.on('disconnect', async () => {
+    socketLog.info('Socket disconnected');
+    metrics.activeSockets.dec();
+    if (gameManager.removeSpectatorEverywhere(socket.id).length > 0) {
+      io.emit('open-games', gameManager.getOpenGames());
+    }
+    const session = authService.getSession(socket.id);
+    authService.endSession(socket.id);
+    // Another socket with the same wallet is still connected, so nothing was lost
+    if (!session || authService.isPlayerConnected(session.playerId)) return;
+    // ...possibly on another instance. Without an answer the grace window still covers a
+    // player who is connected elsewhere.
+    if (cluster) {
+      try {
+        if ((await io.in(`player:${session.playerId}`).fetchSockets()).length > 0) return;
+      } catch (error) {
+        socketLog.error('Error looking for other sockets of the player', { playerId: session.playerId, error });
+      }
+    }
+
+    matchmaker.leave(session.playerId);
+    broadcastGameAction('game.handlePlayerDisconnect', session.playerId);
     io.emit('open-games', gameManager.getOpenGames());
   });
 });
 
 const PORT = process.env.PORT || 3001;
 
+// Move wallet secrets onto the active master key after a rotation; tournament wallets are
+// rewrapped by TournamentManager.start() when their host takes over
+function rewrapGameWallet(game) {
+  if (game.gameWalletKey && solanaService.needsRewrap(game.gameWalletKey)) {
+    game.gameWalletKey = solanaService.rewrapGameWalletKey(game.gameWalletKey);
+    gameManager.persist(game.id);
+  }
+}
+
+if (cluster) {
+  // Settlement retries belong to the instance driving the game
+  cluster.on('gameReleased', ({ gameId }) => settlementService.clearRetry(gameId));
+  cluster.on('gameClaimed', ({ gameId }) => rewrapGameWallet(gameManager.getGame(gameId)));
+
+  // The host reloads before taking over, in case its replicas missed a change
+  cluster.on('roleClaimed', ({ role }) => {
+    if (role !== 'tournaments') return;
+    tournaments.load()
+      .then(() => tournaments.start())
+      .catch(error => log.error('Error taking over tournaments', { error }));
+  });
+  cluster.on('roleReleased', ({ role }) => {
+    if (role === 'tournaments') tournaments.stop();
+  });
+}
+
+await playerStats.load();
+await walletBans.load();
+await tournaments.load();
+matchmaker.start();
+if (cluster) {
+  await tournaments.store.onChange(change => tournaments.refreshReplica(change));
+  await cluster.start();
+} else {
+  tournaments.start();
+}
+
+// Bring back games that were live when the server last stopped; unsettled games
+// re-enter settlement through the 'gameEnded' relay above. In a cluster only replicas are
+// loaded here, and games without a live owner are taken over by the cluster's sweep.
+await gameManager.restoreGames();
+for (const game of gameManager.games.values()) {
+  if (gameManager.ownsGame(game.id)) rewrapGameWallet(game);
+}
+
 server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Mines Game Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  log.info('Mines Game Server running', { port: PORT, environment: process.env.NODE_ENV || 'development' });
 });
 
 export { app, server };
@@ -0,0 +1,276 @@
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'settlement' });
+
+// Settles every game GameManager hands over in the 'settling' phase: pays out the recorded
+// shares, or refunds every deposit when the game was cancelled or expired. Failed attempts are
+// retried with exponential backoff; once the attempts run out the settlement is marked 'failed'
+// and waits for an operator to retry or resolve it by hand.
+//
+// game.settlement tracks the progress:
+//   { type: 'payout' | 'refund', status: 'pending' | 'paid' | 'refunded' | 'failed',
+//     attempts, lastError, nextAttemptAt, updatedAt, resolution? }
+class SettlementService {
+  constructor(gameManager, solanaService, options = {}) {
+    this.gameManager = gameManager;
+    this.solanaService = solanaService;
+    this.feeLedger = options.feeLedger || null;
+
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.SETTLEMENT_MAX_ATTEMPTS) || 5;
+    this.baseDelayMs = options.baseDelayMs || parseInt(process.env.SETTLEMENT_RETRY_BASE_MS) || 5 * 1000; // 5 seconds
+    this.maxDelayMs = options.maxDelayMs || 5 * 60 * 1000; // 5 minutes
+    // A pending settlement this old is reported as stuck even though retries remain
+    this.stuckAfterMs = options.stuckAfterMs || parseInt(process.env.SETTLEMENT_STUCK_AFTER_MS) || 10 * 60 * 1000; // 10 minutes
+
+    this.retryTimers = new Map(); // gameId -> timeout of the next attempt
+    this.inFlight = new Set(); // gameIds with an attempt running
+    this.leaverRefunds = new Map(); // gameId -> refunds running for players who left before the start
+  }
+
+  // Run one settlement attempt; returns the resulting settlement status
+  async settle(gameId) {
+    const game = this.gameManager.getGame(gameId);
+    if (!game || game.state.phase !== 'settling' || !game.settlement) return null;
+    // Failed settlements only move again through retry() or resolve()
+    if (game.settlement.status === 'failed') return 'failed';
+    if (this.inFlight.has(gameId)) return game.settlement.status;
+
+    this.inFlight.add(gameId);
+    this.clearRetry(gameId);
+
+    try {
+      // A refund still on its way to a player who left would otherwise be sent twice
+      await this.leaverRefunds.get(gameId);
+      if (game.settlement.type === 'payout') {
+        await this.refundUnseated(game);
+        await this.collectFee(game);
+        await this.payShares(game);
+      } else {
+        await this.refundDeposits(game);
+      }
+
+      const status = game.settlement.type === 'payout' ? 'paid' : 'refunded';
+      this.gameManager.recordSettlement(gameId, { status, lastError: null, nextAttemptAt: null });
+      this.gameManager.endGame(gameId, status === 'paid' ? 'ended' : 'refunded');
+      log.info('Game settled', { gameId, status });
+      return status;
+    } catch (error) {
+      const attempts = (game.settlement.attempts || 0) + 1;
+
+      if (attempts >= this.maxAttempts) {
+        log.error('Settlement failed, needs manual resolution', { gameId, attempts, error });
+        this.gameManager.recordSettlement(gameId, { status: 'failed', attempts, lastError: error.message, nextAttemptAt: null });
+        return 'failed';
+      }
+
+      const delay = Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+      log.warn('Settlement failed, retrying', { gameId, attempts, delay, error });
+      this.gameManager.recordSettlement(gameId, {
+        status: 'pending',
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: Date.now() + delay
+      });
+      this.scheduleRetry(gameId, delay);
+      return 'pending';
+    } finally {
+      this.inFlight.delete(gameId);
+    }
+  }
+
+  // Pay every share that has no transaction yet, so a retry never pays anyone twice. Shares go
+  // out smallest first: until the last transfer the wallet then holds at least the largest
+  // share, which keeps it above the rent-exempt minimum, and the last transfer empties it.
+  async payShares(game) {
+    const unpaid = game.payout.shares
+      .filter(share => !share.signature)
+      .sort((a, b) => a.amount - b.amount);
+
+    for (const [index, share] of unpaid.entries()) {
+      const sweep = index === unpaid.length - 1;
+      const payout = await this.solanaService.payoutWinner(game.gameWalletKey, share.playerId, share.amount, game.id, { sweep });
+      share.signature = payout.signature;
+      this.gameManager.recordMove(game.id, 'payout', { playerId: share.playerId, amount: payout.amount, signature: payout.signature });
+    }
+  }
+
+  // Deposits of players who never got a seat are not part of the pot; they go back first
+  async refundUnseated(game) {
+    for (const { playerId, amount, refundSignature } of this.gameManager.getUnseatedDeposits(game)) {
+      if (refundSignature) continue;
+
+      const refund = await this.solanaService.refundDeposit(game.gameWalletKey, playerId, amount, game.id);
+      game.deposits[playerId].refundSignature = refund.signature;
+      this.gameManager.recordMove(game.id, 'refund', { playerId, amount, signature: refund.signature });
+    }
+  }
+
+  async collectFee(game) {
+    await collectHouseFee(this.solanaService, this.feeLedger, game.payout, {
+      walletKey: game.gameWalletKey,
+      reference: game.id,
+      entry: { gameId: game.id, betAmount: game.betAmount, players: game.players.length },
+      onSent: signature => this.gameManager.recordMove(game.id, 'fee', { amount: game.payout.rake, treasury: game.payout.treasury, signature }),
+      persist: () => this.gameManager.persist(game.id)
+    });
+  }
+
+  // A player who left before the start gets their deposit back at once. Refunds of one game
+  // run one after the other; one that fails is retried with the unseated deposits at settlement.
+  refundLeaver(gameId, playerId) {
+    const refunds = (this.leaverRefunds.get(gameId) || Promise.resolve())
+      .then(() => this.sendLeaverRefund(gameId, playerId))
+      .finally(() => {
+        if (this.leaverRefunds.get(gameId) === refunds) this.leaverRefunds.delete(gameId);
+      });
+    this.leaverRefunds.set(gameId, refunds);
+    return refunds;
+  }
+
+  async sendLeaverRefund(gameId, playerId) {
+    const game = this.gameManager.getGame(gameId);
+    const deposit = game && game.deposits[playerId];
+    if (!deposit || !deposit.leftAt || deposit.refundSignature) return;
+
+    try {
+      const refund = await this.solanaService.refundDeposit(game.gameWalletKey, playerId, deposit.amount, game.id);
+      deposit.refundSignature = refund.signature;
+      this.gameManager.recordMove(game.id, 'refund', { playerId, amount: deposit.amount, signature: refund.signature });
+    } catch (error) {
+      log.error('Error refunding a player who left, retrying at settlement', { gameId, playerId, error });
+    }
+  }
+
+  // Return each deposit that was not refunded yet; every deposit is tried before giving up
+  async refundDeposits(game) {
+    const unrefunded = Object.entries(game.deposits).filter(([, deposit]) => !deposit.refundSignature);
+    const failures = [];
+
+    for (const [playerId, deposit] of unrefunded) {
+      try {
+        // Only a refund with nobody else left to repay may empty the wallet
+        const sweep = unrefunded.every(([otherId, other]) => otherId === playerId || other.refundSignature);
+        const refund = await this.solanaService.refundDeposit(game.gameWalletKey, playerId, deposit.amount, game.id, { sweep });
+        deposit.refundSignature = refund.signature;
+        this.gameManager.recordMove(game.id, 'refund', { playerId, amount: deposit.amount, signature: refund.signature });
+      } catch (error) {
+        failures.push(`${playerId}: ${error.message}`);
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`Refund failed for ${failures.join('; ')}`);
+    }
+  }
+
+  scheduleRetry(gameId, delay) {
+    this.clearRetry(gameId);
+    this.retryTimers.set(gameId, setTimeout(() => {
+      this.retryTimers.delete(gameId);
+      this.settle(gameId);
+    }, delay));
+  }
+
+  clearRetry(gameId) {
+    clearTimeout(this.retryTimers.get(gameId));
+    this.retryTimers.delete(gameId);
+  }
+
+  // Every settlement not finished yet, whether it is still retrying or has failed
+  getPendingSettlements() {
+    return Array.from(this.gameManager.games.values())
+      .filter(game => game.state.phase === 'settling' && game.settlement)
+      .map(game => this.describe(game));
+  }
+
+  // Settlements that need an operator: out of attempts, or pending for too long
+  getStuckSettlements() {
+    const now = Date.now();
+    return this.getPendingSettlements()
+      .filter(settlement => settlement.status === 'failed' || !(now - settlement.createdAt < this.stuckAfterMs));
+  }
+
+  describe(game) {
+    return {
+      gameId: game.id,
+      gameWallet: game.gameWallet,
+      ...game.settlement,
+      shares: game.payout ? game.payout.shares : [],
+      deposits: Object.entries(game.deposits).map(([playerId, deposit]) => ({
+        playerId,
+        amount: deposit.amount,
+        signature: deposit.signature,
+        refundSignature: deposit.refundSignature || null
+      }))
+    };
+  }
+
+  // Operator action: start over with a fresh set of attempts
+  async retry(gameId) {
+    const game = this.requireSettling(gameId);
+
+    this.gameManager.recordSettlement(gameId, { status: 'pending', attempts: 0, nextAttemptAt: null });
+    log.info('Settlement retried by operator', { gameId: game.id });
+    return this.settle(gameId);
+  }
+
+  // Operator action: the funds were moved outside the server (or written off), close the game
+  resolve(gameId, { status, note, signature } = {}) {
+    const game = this.requireSettling(gameId);
+    if (status !== 'paid' && status !== 'refunded') throw new Error('status must be paid or refunded');
+    if (this.inFlight.has(gameId)) throw new Error('A settlement attempt is running');
+
+    this.clearRetry(gameId);
+    this.gameManager.recordSettlement(gameId, {
+      status,
+      nextAttemptAt: null,
+      resolution: { manual: true, note: note || null, signature: signature || null, resolvedAt: Date.now() }
+    });
+    this.gameManager.recordMove(gameId, 'resolvedManually', { status, note: note || null, signature: signature || null });
+    this.gameManager.endGame(gameId, status === 'paid' ? 'ended' : 'refunded');
+
+    log.info('Settlement resolved manually', { gameId: game.id, status });
+    return game.settlement;
+  }
+
+  requireSettling(gameId) {
+    const game = this.gameManager.getGame(gameId);
+    if (!game || !game.settlement) throw new Error('Settlement not found');
+    if (game.state.phase !== 'settling') throw new Error('Game is already settled');
+    return game;
+  }
+}
+
+// The house fee of a game or tournament payout is sent before the players are paid, so the
+// last payout can empty the wallet, and recorded in the fee ledger once. `entry` names what
+// the fee was taken from; `onSent` and `persist` save the payout after each step.
+async function collectHouseFee(solanaService, feeLedger, payout, { walletKey, reference, entry, onSent, persist }) {
+  if (!payout.rake || !payout.treasury) return;
+
+  if (!payout.feeSignature) {
+    const fee = await solanaService.collectHouseFee(walletKey, payout.treasury, payout.rake, reference);
+    payout.feeSignature = fee.signature;
+    onSent(fee.signature);
+  }
+
+  if (!payout.feeRecorded && feeLedger) {
+    try {
+      await feeLedger.record({
+        ...entry,
+        collectedAt: Date.now(),
+        pot: payout.pot,
+        rake: payout.rake,
+        networkReserve: payout.networkReserve,
+        treasury: payout.treasury,
+        signature: payout.feeSignature
+      });
+      payout.feeRecorded = true;
+      persist();
+    } catch (error) {
+      // The fee is already in the treasury; a missing ledger line must not hold up settlement
+      log.error('Error recording house fee', { reference, error });
+    }
+  }
+}
+
+export { SettlementService, collectHouseFee };
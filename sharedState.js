@@ -0,0 +1,190 @@
+import { EventEmitter } from 'events';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'sharedState' });
+
+// Key/value, hash, lease and pub/sub primitives shared by every server instance. Values are
+// strings; callers encode JSON themselves. Both backends expose the same async interface:
+//   get(key) / set(key, value, ttlMs?) / del(key)
+//   setIfAbsent(key, value, ttlMs?)     -> true when the key was free and is now ours
+//   renewIfValue(key, value, ttlMs)     -> true when the key still held `value` and was extended
+//   deleteIfValue(key, value)           -> true when the key held `value` and was removed
+//   hset(hash, field, value) / hget(hash, field) / hgetAll(hash) / hdel(hash, field)
+//   rpush(list, value) / lrange(list, start, stop)  (stop is inclusive, -1 is the last item)
+//   publish(channel, message) / subscribe(channel, handler)
+
+// In-process fake: several GameClusters in one process can share one instance in tests
+class MemorySharedState {
+  constructor() {
+    this.values = new Map(); // key -> { value, expiresAt }
+    this.hashes = new Map(); // hash -> Map(field -> value)
+    this.lists = new Map(); // list -> [values]
+    this.bus = new EventEmitter();
+    this.bus.setMaxListeners(0);
+  }
+
+  read(key) {
+    const entry = this.values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.values.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async get(key) {
+    return this.read(key);
+  }
+
+  async set(key, value, ttlMs) {
+    this.values.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+  }
+
+  async del(key) {
+    this.values.delete(key);
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    if (this.read(key) !== null) return false;
+    await this.set(key, value, ttlMs);
+    return true;
+  }
+
+  async renewIfValue(key, value, ttlMs) {
+    if (this.read(key) !== value) return false;
+    await this.set(key, value, ttlMs);
+    return true;
+  }
+
+  async deleteIfValue(key, value) {
+    if (this.read(key) !== value) return false;
+    this.values.delete(key);
+    return true;
+  }
+
+  async hset(hash, field, value) {
+    if (!this.hashes.has(hash)) this.hashes.set(hash, new Map());
+    this.hashes.get(hash).set(field, value);
+  }
+
+  async hget(hash, field) {
+    const fields = this.hashes.get(hash);
+    return fields && fields.has(field) ? fields.get(field) : null;
+  }
+
+  async hgetAll(hash) {
+    return Object.fromEntries(this.hashes.get(hash) || []);
+  }
+
+  async hdel(hash, field) {
+    const fields = this.hashes.get(hash);
+    if (fields) fields.delete(field);
+  }
+
+  async rpush(list, value) {
+    if (!this.lists.has(list)) this.lists.set(list, []);
+    this.lists.get(list).push(value);
+  }
+
+  async lrange(list, start, stop) {
+    const values = this.lists.get(list) || [];
+    const end = stop < 0 ? values.length + stop + 1 : stop + 1;
+    return values.slice(start < 0 ? Math.max(values.length + start, 0) : start, end);
+  }
+
+  async publish(channel, message) {
+    // Delivered asynchronously, like a real broker
+    setImmediate(() => this.bus.emit(channel, message));
+  }
+
+  async subscribe(channel, handler) {
+    this.bus.on(channel, handler);
+  }
+}
+
+// Compare-and-set scripts keep lease checks atomic on the Redis side
+const RENEW_IF_VALUE = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end`;
+const DELETE_IF_VALUE = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end`;
+
+// Backed by node-redis v4 clients; pub/sub needs a dedicated subscriber connection
+class RedisSharedState {
+  constructor(client, subscriber) {
+    this.client = client;
+    this.subscriber = subscriber;
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(key, value, ttlMs ? { PX: ttlMs } : undefined);
+  }
+
+  async del(key) {
+    await this.client.del(key);
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    return (await this.client.set(key, value, { NX: true, PX: ttlMs })) === 'OK';
+  }
+
+  async renewIfValue(key, value, ttlMs) {
+    return (await this.client.eval(RENEW_IF_VALUE, { keys: [key], arguments: [value, String(ttlMs)] })) === 1;
+  }
+
+  async deleteIfValue(key, value) {
+    return (await this.client.eval(DELETE_IF_VALUE, { keys: [key], arguments: [value] })) === 1;
+  }
+
+  async hset(hash, field, value) {
+    await this.client.hSet(hash, field, value);
+  }
+
+  async hget(hash, field) {
+    return this.client.hGet(hash, field);
+  }
+
+  async hgetAll(hash) {
+    return this.client.hGetAll(hash);
+  }
+
+  async hdel(hash, field) {
+    await this.client.hDel(hash, field);
+  }
+
+  async rpush(list, value) {
+    await this.client.rPush(list, value);
+  }
+
+  async lrange(list, start, stop) {
+    return this.client.lRange(list, start, stop);
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(channel, message);
+  }
+
+  async subscribe(channel, handler) {
+    await this.subscriber.subscribe(channel, handler);
+  }
+}
+
+// REDIS_URL switches on the shared backend; without it the server runs as a single instance.
+// The client connections are returned as well so the Socket.IO adapter can reuse them.
+async function createSharedState() {
+  if (!process.env.REDIS_URL) return null;
+
+  const { createClient } = await import('redis');
+  const client = createClient({ url: process.env.REDIS_URL });
+  const subscriber = client.duplicate();
+  client.on('error', error => log.error('Redis client error', { error }));
+  subscriber.on('error', error => log.error('Redis subscriber error', { error }));
+  await Promise.all([client.connect(), subscriber.connect()]);
+
+  log.info('Connected shared state to Redis');
+  return { sharedState: new RedisSharedState(client, subscriber), client };
+}
+
+export { MemorySharedState, RedisSharedState, createSharedState };
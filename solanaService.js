@@ -1,20 +1,51 @@
-import { Connection, Keypair, PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { Connection, Keypair, PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL, sendAndConfirmTransaction } from '@solana/web3.js';
+import { KeyCustody } from './keyCustody.js';
+import { DepositRegistry } from './depositRegistry.js';
+import { logger } from './logger.js';
+import { metrics } from './metrics.js';
+
+const log = logger.child({ component: 'solanaService' });
+
+// Flat fee for a single-signature transaction
+const TX_FEE_LAMPORTS = 5000;
 
 class SolanaService {
-  constructor() {
-    // Use devnet for development, mainnet-beta for production
-    const endpoint = process.env.NODE_ENV === 'production' 
+  constructor(options = {}) {
+    // Use devnet for development, mainnet-beta for production.
+    // SOLANA_RPC_URL (or options.endpoint) points at a local validator instead,
+    // and options.connection lets tests inject a mock Connection.
+    const endpoint = options.endpoint || process.env.SOLANA_RPC_URL || (process.env.NODE_ENV === 'production' 
       ? 'https://api.mainnet-beta.solana.com'
-      : 'https://api.devnet.solana.com';
+      : 'https://api.devnet.solana.com');
     
-    this.connection = new Connection(endpoint, 'confirmed');
-    console.log(`Solana service initialized with endpoint: ${endpoint}`);
+    this.connection = options.connection || new Connection(endpoint, 'confirmed');
+    // Shared or persisted in production (see depositRegistry.js), so a deposit is credited once
+    this.depositRegistry = options.depositRegistry || new DepositRegistry();
+    // Game wallet secrets only ever leave this service encrypted
+    this.custody = options.custody || new KeyCustody();
+    log.info('Solana service initialized', { endpoint: options.connection ? 'custom connection' : endpoint });
+  }
+
+  toLamports(amount) {
+    return Math.round(amount * LAMPORTS_PER_SOL);
   }
 
+  // Returns the wallet's address and its secret key encrypted by the custody module
   async createGameWallet() {
     const wallet = Keypair.generate();
-    console.log(`Created new game wallet: ${wallet.publicKey.toString()}`);
-    return wallet;
+    const encryptedSecret = this.custody.encrypt(wallet.secretKey);
+    wallet.secretKey.fill(0);
+    log.info('Game wallet created', { gameWallet: wallet.publicKey.toString() });
+    return { publicKey: wallet.publicKey.toString(), encryptedSecret };
+  }
+
+  // Re-encrypt a stored game wallet secret under the current master key (for key rotation)
+  rewrapGameWalletKey(encryptedSecret) {
+    return this.custody.rewrap(encryptedSecret);
+  }
+
+  needsRewrap(encryptedSecret) {
+    return this.custody.needsRewrap(encryptedSecret);
   }
 
   async validateBet(playerPublicKey, betAmount) {
@@ -24,7 +55,7 @@ class SolanaService {
       const betLamports = betAmount * LAMPORTS_PER_SOL;
       const requiredBalance = betLamports + 10000; // Include transaction fees
       
-      console.log(`Validating bet for ${playerPublicKey}: Balance ${balance / LAMPORTS_PER_SOL} SOL, Required: ${requiredBalance / LAMPORTS_PER_SOL} SOL`);
+      log.debug('Validating bet', { playerId: playerPublicKey, balance: balance / LAMPORTS_PER_SOL, required: requiredBalance / LAMPORTS_PER_SOL });
       
       return {
         valid: balance >= requiredBalance,
@@ -32,67 +63,187 @@ class SolanaService {
         required: requiredBalance / LAMPORTS_PER_SOL
       };
     } catch (error) {
-      console.error('Error validating bet:', error);
+      log.error('Error validating bet', { playerId: playerPublicKey, error });
       return { valid: false, balance: 0, error: error.message };
     }
   }
 
-  async transferBet(fromPublicKey, toPublicKey, amount) {
+  // Build an unsigned transfer from the player to the game wallet for the client to sign and submit
+  async buildDepositTransaction(fromPublicKey, toPublicKey, amount) {
     try {
-      console.log(`Processing transfer of ${amount} SOL from ${fromPublicKey} to ${toPublicKey.toString()}`);
-      
-      // In a real implementation, this would:
-      // 1. Create a transaction to transfer SOL
-      // 2. Request the user to sign it via their wallet
-      // 3. Send the signed transaction to the network
-      
-      // For demo purposes, we simulate the transfer
-      const simulatedResult = {
-        success: true,
-        signature: `demo_tx_${Date.now()}_${Math.random().toString(36).substring(7)}`,
-        amount: amount,
-        from: fromPublicKey,
-        to: toPublicKey.toString(),
-        timestamp: new Date().toISOString()
+      const from = new PublicKey(fromPublicKey);
+      const to = new PublicKey(toPublicKey);
+      const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
+
+      const transaction = new Transaction({ feePayer: from, blockhash, lastValidBlockHeight }).add(
+        SystemProgram.transfer({
+          fromPubkey: from,
+          toPubkey: to,
+          lamports: this.toLamports(amount)
+        })
+      );
+
+      const serialized = transaction.serialize({ requireAllSignatures: false, verifySignatures: false });
+      log.debug('Deposit transaction built', { playerId: from.toBase58(), gameWallet: to.toBase58(), amount });
+
+      return {
+        transaction: serialized.toString('base64'),
+        amount,
+        from: from.toBase58(),
+        to: to.toBase58(),
+        lastValidBlockHeight
       };
-      
-      console.log('Transfer simulation result:', simulatedResult);
-      return simulatedResult;
-      
     } catch (error) {
-      console.error('Error transferring bet:', error);
-      throw new Error(`Transfer failed: ${error.message}`);
+      log.error('Error building deposit transaction', { playerId: fromPublicKey, gameWallet: toPublicKey, error });
+      throw new Error(`Could not build deposit: ${error.message}`);
+    }
+  }
+
+  // Confirm that a submitted transaction moved exactly `amount` SOL from the player to the game wallet
+  async verifyDeposit(signature, fromPublicKey, toPublicKey, amount) {
+    if (!signature || typeof signature !== 'string') throw new Error('Deposit signature is required');
+    if (await this.depositRegistry.has(signature)) throw new Error('Deposit already used');
+
+    const from = new PublicKey(fromPublicKey).toBase58();
+    const to = new PublicKey(toPublicKey).toBase58();
+    const lamports = this.toLamports(amount);
+
+    const tx = await this.connection.getParsedTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+
+    if (!tx) throw new Error('Deposit transaction not found or not yet confirmed');
+    if (!tx.meta || tx.meta.err) throw new Error('Deposit transaction failed on-chain');
+
+    const transfer = tx.transaction.message.instructions.find(ix =>
+      ix.program === 'system' &&
+      ix.parsed &&
+      ix.parsed.type === 'transfer' &&
+      ix.parsed.info.source === from &&
+      ix.parsed.info.destination === to
+    );
+
+    if (!transfer) throw new Error('Deposit transaction does not transfer to the game wallet');
+    if (Number(transfer.parsed.info.lamports) !== lamports) {
+      throw new Error(`Deposit amount must be exactly ${amount} SOL`);
     }
+
+    // Claimed only now, so a rejected deposit can be sent again; the claim settles a race
+    if (!(await this.depositRegistry.claim(signature))) throw new Error('Deposit already used');
+    metrics.solWagered.inc(amount);
+    log.info('Deposit verified', { playerId: from, gameWallet: to, signature, amount });
+
+    return { success: true, signature, amount, from, to, slot: tx.slot };
   }
 
-  async payoutWinner(gameWalletSecret, winnerPublicKey, amount) {
+  // `sweep` marks the last transfer out of the wallet, which takes whatever is left in it
+  async payoutWinner(encryptedSecret, winnerPublicKey, amount, gameId, { sweep = false } = {}) {
     try {
-      console.log(`Processing payout of ${amount} SOL to winner ${winnerPublicKey}`);
+      log.info('Processing payout', { gameId, playerId: winnerPublicKey, amount, sweep });
       
-      // In a real implementation, this would:
-      // 1. Create a transaction from the game wallet to the winner
-      // 2. Sign it with the game wallet's secret key
-      // 3. Send the transaction to the network
+      const payout = await this.sendFromGameWallet(encryptedSecret, winnerPublicKey, amount, { purpose: 'payout', gameId, sweep });
       
-      const gameWallet = Keypair.fromSecretKey(gameWalletSecret);
+      log.info('Payout sent', { gameId, playerId: winnerPublicKey, amount: payout.amount, signature: payout.signature });
+      return payout;
       
-      // Simulate the payout
-      const simulatedPayout = {
+    } catch (error) {
+      log.error('Error paying out winner', { gameId, playerId: winnerPublicKey, error });
+      throw new Error(`Payout failed: ${error.message}`);
+    }
+  }
+
+  async refundDeposit(encryptedSecret, playerPublicKey, amount, gameId, { sweep = false } = {}) {
+    try {
+      log.info('Processing refund', { gameId, playerId: playerPublicKey, amount, sweep });
+
+      const refund = await this.sendFromGameWallet(encryptedSecret, playerPublicKey, amount, { purpose: 'refund', gameId, sweep });
+
+      log.info('Refund sent', { gameId, playerId: playerPublicKey, amount: refund.amount, signature: refund.signature });
+      return refund;
+
+    } catch (error) {
+      log.error('Error refunding deposit', { gameId, playerId: playerPublicKey, error });
+      throw new Error(`Refund failed: ${error.message}`);
+    }
+  }
+
+  // Send the house fee of a settled game to the treasury wallet
+  async collectHouseFee(encryptedSecret, treasuryPublicKey, amount, gameId) {
+    try {
+      log.info('Collecting house fee', { gameId, treasury: treasuryPublicKey, amount });
+      return await this.sendFromGameWallet(encryptedSecret, treasuryPublicKey, amount, { purpose: 'fee', gameId });
+    } catch (error) {
+      log.error('Error collecting house fee', { gameId, error });
+      throw new Error(`Fee collection failed: ${error.message}`);
+    }
+  }
+
+  // Sign and send a transfer out of a game wallet; every signing is audited by the custody module
+  // and counted in the transfer metrics
+  async sendFromGameWallet(encryptedSecret, recipientPublicKey, amount, details) {
+    try {
+      const result = await this.signAndSend(encryptedSecret, recipientPublicKey, amount, details);
+      metrics.transfers.inc({ purpose: details.purpose, result: 'success' });
+      return result;
+    } catch (error) {
+      metrics.transfers.inc({ purpose: details.purpose, result: 'failure' });
+      throw error;
+    }
+  }
+
+  async signAndSend(encryptedSecret, recipientPublicKey, amount, details) {
+    const recipient = new PublicKey(recipientPublicKey);
+
+    return this.custody.useSecret(encryptedSecret, {
+      ...details,
+      recipient: recipient.toBase58(),
+      amount
+    }, async (secretKey) => {
+      const gameWallet = Keypair.fromSecretKey(secretKey);
+
+      // The game wallet pays its own transaction fee, so never send more than it can cover.
+      // The network rejects a transfer that leaves the wallet with a balance between zero and
+      // the rent-exempt minimum, so the last transfer (`sweep`) empties it.
+      const balance = await this.connection.getBalance(gameWallet.publicKey);
+      const available = balance - TX_FEE_LAMPORTS;
+      const lamports = details.sweep ? available : Math.min(this.toLamports(amount), available);
+      if (lamports <= 0) throw new Error('Game wallet has no funds to send');
+
+      const remaining = available - lamports;
+      if (remaining > 0 && remaining < await this.getRentExemptMinimum()) {
+        throw new Error(`Transfer would leave ${remaining} lamports in the game wallet, below the rent-exempt minimum`);
+      }
+
+      const transaction = new Transaction().add(
+        SystemProgram.transfer({
+          fromPubkey: gameWallet.publicKey,
+          toPubkey: recipient,
+          lamports
+        })
+      );
+
+      const signature = await sendAndConfirmTransaction(this.connection, transaction, [gameWallet], {
+        commitment: 'confirmed'
+      });
+
+      return {
         success: true,
-        signature: `payout_tx_${Date.now()}_${Math.random().toString(36).substring(7)}`,
-        amount: amount,
-        recipient: winnerPublicKey,
+        signature,
+        amount: lamports / LAMPORTS_PER_SOL,
+        recipient: recipient.toBase58(),
         gameWallet: gameWallet.publicKey.toString(),
         timestamp: new Date().toISOString()
       };
-      
-      console.log('Payout simulation result:', simulatedPayout);
-      return simulatedPayout;
-      
-    } catch (error) {
-      console.error('Error paying out winner:', error);
-      throw new Error(`Payout failed: ${error.message}`);
+    });
+  }
+
+  // Smallest balance a plain system account may keep; fetched once
+  async getRentExemptMinimum() {
+    if (this.rentExemptLamports === undefined) {
+      this.rentExemptLamports = await this.connection.getMinimumBalanceForRentExemption(0);
     }
+    return this.rentExemptLamports;
   }
 
   async getBalance(publicKey) {
@@ -100,7 +251,7 @@ class SolanaService {
       const balance = await this.connection.getBalance(new PublicKey(publicKey));
       return balance / LAMPORTS_PER_SOL;
     } catch (error) {
-      console.error('Error getting balance:', error);
+      log.error('Error getting balance', { wallet: publicKey, error });
       return 0;
     }
   }
@@ -108,10 +259,10 @@ class SolanaService {
   async getGameWalletBalance(gameWalletPublicKey) {
     try {
       const balance = await this.connection.getBalance(new PublicKey(gameWalletPublicKey));
-      console.log(`Game wallet ${gameWalletPublicKey} balance: ${balance / LAMPORTS_PER_SOL} SOL`);
+      log.debug('Game wallet balance', { gameWallet: gameWalletPublicKey, balance: balance / LAMPORTS_PER_SOL });
       return balance / LAMPORTS_PER_SOL;
     } catch (error) {
-      console.error('Error getting game wallet balance:', error);
+      log.error('Error getting game wallet balance', { gameWallet: gameWalletPublicKey, error });
       return 0;
     }
   }
@@ -132,7 +283,7 @@ class SolanaService {
       const confirmation = await this.connection.confirmTransaction(signature);
       return confirmation;
     } catch (error) {
-      console.error('Error confirming transaction:', error);
+      log.error('Error confirming transaction', { signature, error });
       return null;
     }
   }
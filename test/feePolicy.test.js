@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FeePolicy } from '../feePolicy.js';
+import { wallet, lamports } from './helpers.js';
+
+describe('FeePolicy.apply', () => {
+  it('reserves the network fee of every transfer and takes no rake without a treasury', () => {
+    const policy = new FeePolicy({ percent: 5, minimum: 0, treasury: '', networkFeeLamports: 5000 });
+
+    assert.equal(policy.enabled, false);
+    assert.deepEqual(policy.apply(0.2, 2), { rake: 0, networkReserve: 0.00001, distributable: 0.19999 });
+  });
+
+  it('takes the percentage rake plus one more reserved transfer for the fee', () => {
+    const policy = new FeePolicy({ percent: 2.5, minimum: 0, treasury: wallet(), networkFeeLamports: 5000 });
+
+    const fees = policy.apply(0.2, 1);
+
+    assert.equal(fees.rake, 0.005);
+    assert.equal(fees.networkReserve, 0.00001);
+    assert.equal(lamports(fees.rake) + lamports(fees.networkReserve) + lamports(fees.distributable), lamports(0.2));
+  });
+
+  it('applies the minimum fee when the percentage comes to less', () => {
+    const policy = new FeePolicy({ percent: 1, minimum: 0.01, treasury: wallet(), networkFeeLamports: 5000 });
+
+    assert.equal(policy.apply(0.2, 1).rake, 0.01);
+  });
+
+  it('never lets the rake eat into the network reserve', () => {
+    const policy = new FeePolicy({ percent: 0, minimum: 1, treasury: wallet(), networkFeeLamports: 5000 });
+
+    assert.deepEqual(policy.apply(0.1, 1), { rake: 0.09999, networkReserve: 0.00001, distributable: 0 });
+  });
+
+  it('rejects a percentage outside 0 to 100', () => {
+    assert.throws(() => new FeePolicy({ percent: 100, treasury: wallet() }), /HOUSE_FEE_PERCENT/);
+  });
+});
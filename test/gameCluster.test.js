@@ -0,0 +1,132 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameManager } from '../gameManager.js';
+import { GameCluster } from '../gameCluster.js';
+import { SharedRecordStore } from '../recordStore.js';
+import { MemorySharedState } from '../sharedState.js';
+import { createGameArchive } from '../gameArchive.js';
+
+// Poll until `check` passes; cluster traffic goes through the fake broker asynchronously
+async function eventually(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return check();
+    } catch (error) {
+      if (Date.now() > deadline) throw error;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+}
+
+describe('GameCluster', () => {
+  let sharedState;
+  let instances;
+
+  async function startInstance(instanceId) {
+    const gameManager = new GameManager({ store: new SharedRecordStore(sharedState, instanceId, 'games') });
+    const cluster = new GameCluster(gameManager, sharedState, { instanceId, heartbeatMs: 20, takeoverMs: 30, leaseTtlMs: 100 });
+    await cluster.start();
+    instances.push(cluster);
+    return { gameManager, cluster };
+  }
+
+  function openGame(gameManager) {
+    const game = gameManager.createGame({ size: '5x5', bombs: 3, maxPlayers: 2, betAmount: 0.1, creator: 'alice', gameWallet: 'wallet' });
+    gameManager.recordDeposit(game.id, 'alice', { signature: 'deposit-alice', amount: 0.1 });
+    return game;
+  }
+
+  beforeEach(() => {
+    sharedState = new MemorySharedState();
+    instances = [];
+  });
+
+  afterEach(() => {
+    instances.forEach(cluster => cluster.stop());
+  });
+
+  it('keeps a replica of every game on every instance', async () => {
+    const a = await startInstance('a');
+    const b = await startInstance('b');
+
+    const game = openGame(a.gameManager);
+
+    await eventually(() => assert.equal(b.gameManager.getGame(game.id).deposits.alice.amount, 0.1));
+    assert.ok(a.cluster.ownsGame(game.id));
+    assert.ok(!b.cluster.ownsGame(game.id));
+  });
+
+  it('runs a change on the owning instance and replicates the result', async () => {
+    const a = await startInstance('a');
+    const b = await startInstance('b');
+    const game = openGame(a.gameManager);
+    await eventually(() => assert.ok(b.gameManager.getGame(game.id)));
+
+    const hold = await b.cluster.run(game.id, 'game.reserveSeat', game.id, 'bob');
+
+    assert.equal(hold.playerId, 'bob');
+    assert.ok(a.gameManager.getGame(game.id).seatReservations.bob);
+    await eventually(() => assert.ok(b.gameManager.getGame(game.id).seatReservations.bob));
+  });
+
+  it('passes errors raised on the owner back with their code', async () => {
+    const a = await startInstance('a');
+    const b = await startInstance('b');
+    const game = openGame(a.gameManager);
+
+    await assert.rejects(
+      b.cluster.run(game.id, 'game.requireSeatHold', game.id, 'bob'),
+      error => error.code === 'NO_SEAT_RESERVED'
+    );
+  });
+
+  it('takes over the games of an instance that stopped renewing its leases', async () => {
+    const a = await startInstance('a');
+    const b = await startInstance('b');
+    const game = openGame(a.gameManager);
+    await eventually(() => assert.ok(b.gameManager.getGame(game.id)));
+    const claimed = [];
+    b.cluster.on('gameClaimed', event => claimed.push(event.gameId));
+
+    a.cluster.stop();
+
+    await eventually(() => assert.deepEqual(claimed, [game.id]));
+    assert.ok(b.cluster.ownsGame(game.id));
+    assert.equal((await b.cluster.run(game.id, 'game.reserveSeat', game.id, 'bob')).playerId, 'bob');
+  });
+
+  it('runs a role on exactly one instance and moves it when that instance dies', async () => {
+    const a = await startInstance('a');
+    const b = await startInstance('b');
+    const calls = [];
+    for (const { cluster } of [a, b]) {
+      cluster.register('tournament', { host: () => { calls.push(cluster.instanceId); return cluster.instanceId; } });
+      cluster.addRole('tournaments');
+    }
+
+    await eventually(() => assert.ok(a.cluster.holdsRole('tournaments') || b.cluster.holdsRole('tournaments')));
+    const [holder, other] = a.cluster.holdsRole('tournaments') ? [a, b] : [b, a];
+    assert.ok(!other.cluster.holdsRole('tournaments'));
+    assert.equal(await other.cluster.runRole('tournaments', 'tournament.host'), holder.cluster.instanceId);
+
+    holder.cluster.stop();
+
+    await eventually(() => assert.ok(other.cluster.holdsRole('tournaments')));
+    assert.equal(await other.cluster.runRole('tournaments', 'tournament.host'), other.cluster.instanceId);
+    assert.deepEqual(calls, [holder.cluster.instanceId, other.cluster.instanceId]);
+  });
+
+  it('shares the game archive between instances', async () => {
+    const archiveA = createGameArchive({ sharedState });
+    const archiveB = createGameArchive({ sharedState });
+
+    await archiveA.add({ id: 'first', players: ['alice', 'bob'], endedAt: 1 });
+    await archiveA.add({ id: 'second', players: ['alice'], endedAt: 2 });
+
+    const { total, games } = await archiveB.listByPlayer('alice', { limit: 1 });
+    assert.equal(total, 2);
+    assert.deepEqual(games.map(record => record.id), ['second']);
+    assert.equal((await archiveB.get('first')).players.length, 2);
+  });
+});
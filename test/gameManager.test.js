@@ -0,0 +1,263 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { GameManager } from '../gameManager.js';
+import { MemoryRecordStore } from '../recordStore.js';
+import { KeyCustody } from '../keyCustody.js';
+
+const deposit = playerId => ({ signature: `deposit-${playerId}`, amount: 0.1 });
+
+// A staked game (two seats by default) whose creator has paid in, so it is open for joiners
+function openGame(gameManager, maxPlayers = 2) {
+  const game = gameManager.createGame({ size: '5x5', bombs: 3, maxPlayers, betAmount: 0.1, creator: 'alice', gameWallet: 'wallet' });
+  gameManager.recordDeposit(game.id, 'alice', deposit('alice'));
+  return game;
+}
+
+// Lets fire-and-forget store writes land
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('GameManager seat reservations', () => {
+  let gameManager;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    gameManager = new GameManager();
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('holds the last open seat for one joiner at a time', () => {
+    const game = openGame(gameManager);
+
+    gameManager.reserveSeat(game.id, 'bob');
+
+    assert.throws(() => gameManager.reserveSeat(game.id, 'carol'), /Other players are joining/);
+    assert.equal(gameManager.requireSeatHold(game.id, 'bob').playerId, 'bob');
+  });
+
+  it('frees the seat once a hold lapses and rejects a deposit confirmed for it', () => {
+    const game = openGame(gameManager);
+    gameManager.reserveSeat(game.id, 'bob', 0);
+
+    gameManager.reserveSeat(game.id, 'carol');
+
+    assert.throws(() => gameManager.requireSeatHold(game.id, 'bob'), error => error.code === 'NO_SEAT_RESERVED');
+    assert.deepEqual(Object.keys(game.seatReservations), ['carol']);
+  });
+
+  it('never lapses a hold whose deposit is already recorded', () => {
+    const game = openGame(gameManager);
+    gameManager.reserveSeat(game.id, 'bob', 0);
+    gameManager.recordDeposit(game.id, 'bob', deposit('bob'));
+
+    assert.throws(() => gameManager.reserveSeat(game.id, 'carol'), /Other players are joining/);
+    assert.equal(gameManager.requireSeatHold(game.id, 'bob').playerId, 'bob');
+  });
+
+  it('releases the hold when the joiner takes the seat', () => {
+    const game = openGame(gameManager, 3);
+    gameManager.reserveSeat(game.id, 'bob');
+    gameManager.recordDeposit(game.id, 'bob', deposit('bob'));
+
+    gameManager.joinGame(game.id, 'bob');
+
+    assert.deepEqual(game.seatReservations, {});
+    assert.deepEqual(game.players, ['alice', 'bob']);
+  });
+
+  it('reports deposits of players who never got a seat', () => {
+    const game = openGame(gameManager);
+    gameManager.recordDeposit(game.id, 'bob', deposit('bob'));
+    gameManager.recordDeposit(game.id, 'carol', deposit('carol'));
+    gameManager.joinGame(game.id, 'bob');
+
+    assert.deepEqual(gameManager.getUnseatedDeposits(game).map(entry => entry.playerId), ['carol']);
+  });
+});
+
+describe('GameManager.exitGame before the start', () => {
+  let gameManager;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    gameManager = new GameManager();
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('frees the seat of a joiner who leaves and keeps the game open', () => {
+    const game = openGame(gameManager, 3);
+    gameManager.recordDeposit(game.id, 'bob', deposit('bob'));
+    gameManager.joinGame(game.id, 'bob');
+    const left = [];
+    gameManager.on('playerLeft', event => left.push(event.playerId));
+
+    gameManager.exitGame(game.id, 'bob');
+
+    assert.equal(game.state.phase, 'waiting');
+    assert.equal(game.status, 'waiting');
+    assert.deepEqual(game.players, ['alice']);
+    assert.deepEqual(left, ['bob']);
+    assert.deepEqual(gameManager.getUnseatedDeposits(game).map(entry => entry.playerId), ['bob']);
+    assert.throws(() => gameManager.joinGame(game.id, 'bob'), /You left this game/);
+  });
+
+  it('leaves a joiner whose reconnect grace ran out the same way', () => {
+    const game = openGame(gameManager, 3);
+    gameManager.recordDeposit(game.id, 'bob', deposit('bob'));
+    gameManager.joinGame(game.id, 'bob');
+
+    gameManager.handlePlayerDisconnect('bob');
+    mock.timers.tick(gameManager.reconnectGraceMs);
+
+    assert.equal(game.state.phase, 'waiting');
+    assert.deepEqual(game.players, ['alice']);
+  });
+
+  it('cancels the game for a refund when its creator leaves', () => {
+    const game = openGame(gameManager, 3);
+    gameManager.recordDeposit(game.id, 'bob', deposit('bob'));
+    gameManager.joinGame(game.id, 'bob');
+
+    gameManager.exitGame(game.id, 'alice');
+
+    assert.equal(game.state.phase, 'settling');
+    assert.equal(game.settlement.type, 'refund');
+  });
+});
+
+describe('GameManager crash recovery', () => {
+  let store;
+
+  // A game in its placement phase, saved by a server that then went away
+  async function interruptedGame() {
+    const before = new GameManager({ store });
+    const game = openGame(before);
+    before.recordDeposit(game.id, 'bob', deposit('bob'));
+    before.joinGame(game.id, 'bob');
+    before.clearTimer(game.id);
+    await settle();
+    return game;
+  }
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    store = new MemoryRecordStore();
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('resumes interrupted games with their clock running again', async () => {
+    const game = await interruptedGame();
+    const restarted = new GameManager({ store, recoveryPolicy: 'resume' });
+
+    assert.deepEqual(await restarted.restoreGames(), { resumed: 1, settling: 0, cancelled: 0 });
+
+    const restored = restarted.getGame(game.id);
+    assert.equal(restored.state.phase, 'placement');
+    assert.deepEqual(restored.deposits, game.deposits);
+    assert.ok(restarted.timers.has(game.id));
+  });
+
+  it('cancels interrupted games for a refund under the refund policy', async () => {
+    const game = await interruptedGame();
+    const restarted = new GameManager({ store, recoveryPolicy: 'refund' });
+    const ended = [];
+    restarted.on('gameEnded', event => ended.push(event));
+
+    assert.deepEqual(await restarted.restoreGames(), { resumed: 0, settling: 0, cancelled: 1 });
+
+    const restored = restarted.getGame(game.id);
+    assert.equal(restored.state.phase, 'settling');
+    assert.equal(restored.settlement.type, 'refund');
+    assert.deepEqual(ended.map(event => event.winners), [[]]);
+  });
+
+  it('hands games that were settling back to settlement', async () => {
+    const game = await interruptedGame();
+    const before = new GameManager({ store });
+    await before.restoreGames();
+    before.finishGame(game.id, 'alice', 'test');
+    await settle();
+
+    const restarted = new GameManager({ store });
+    const ended = [];
+    restarted.on('gameEnded', event => ended.push(event));
+
+    assert.deepEqual(await restarted.restoreGames(), { resumed: 0, settling: 1, cancelled: 0 });
+    assert.deepEqual(ended.map(event => ({ winners: event.winners, reason: event.reason })), [{ winners: ['alice'], reason: 'recovered' }]);
+  });
+
+  it('wraps the plaintext wallet secret of a game saved before secrets were encrypted', async () => {
+    const game = await interruptedGame();
+    const [saved] = await store.loadAll();
+    const secret = Array.from(crypto.randomBytes(64));
+    delete saved.gameWalletKey;
+    await store.save({ ...saved, gameWalletSecret: secret });
+    const custody = new KeyCustody({ masterKey: crypto.randomBytes(32).toString('hex') });
+
+    const restarted = new GameManager({ store, custody });
+    await restarted.restoreGames();
+    await settle();
+
+    const [persisted] = await store.loadAll();
+    assert.equal(persisted.id, game.id);
+    assert.equal(persisted.gameWalletSecret, undefined);
+    assert.deepEqual(Array.from(custody.decrypt(persisted.gameWalletKey)), secret);
+    assert.equal(restarted.getGame(game.id).gameWalletSecret, undefined);
+  });
+
+  it('drops games that had already ended', async () => {
+    await store.save({ id: 'done', state: { phase: 'ended' } });
+
+    const restarted = new GameManager({ store });
+
+    assert.deepEqual(await restarted.restoreGames(), { resumed: 0, settling: 0, cancelled: 0 });
+    assert.equal(restarted.getGame('done'), undefined);
+    assert.deepEqual(await store.loadAll(), []);
+  });
+});
+
+describe('GameManager.forceEndGame', () => {
+  let gameManager;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    gameManager = new GameManager();
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('ends a started practice game without a settlement when refunded', () => {
+    const game = gameManager.createGame({ size: '5x5', bombs: 3, creator: 'alice', practice: { difficulty: 'easy', strategy: 'random' } });
+    gameManager.joinGame(game.id, 'practice-bot');
+    assert.equal(game.state.phase, 'placement');
+    const ended = [];
+    gameManager.on('gameEnded', event => ended.push(event));
+
+    gameManager.forceEndGame(game.id, { outcome: 'refund' });
+
+    assert.equal(game.state.phase, 'ended');
+    assert.deepEqual(ended.map(event => ({ winners: event.winners, reason: event.reason })), [{ winners: [], reason: 'admin' }]);
+    assert.ok(!gameManager.timers.has(game.id));
+    assert.deepEqual(game.moves.slice(-3).map(move => move.type), ['forceEnded', 'finished', 'ended']);
+  });
+
+  it('rejects winners for a game that has not started, without touching its move log', () => {
+    const game = openGame(gameManager);
+    const moves = game.moves.length;
+
+    assert.throws(() => gameManager.forceEndGame(game.id, { outcome: 'winners', winners: ['alice'] }), /can only be refunded/);
+    assert.equal(game.moves.length, moves);
+    assert.equal(game.state.phase, 'waiting');
+  });
+});
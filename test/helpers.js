@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import { Keypair, LAMPORTS_PER_SOL, SystemInstruction } from '@solana/web3.js';
+import { SolanaService } from '../solanaService.js';
+import { KeyCustody } from '../keyCustody.js';
+
+const FEE_LAMPORTS = 5000;
+const RENT_EXEMPT_LAMPORTS = 890880;
+
+// Stands in for @solana/web3.js's Connection: balances live in memory, every transfer sent
+// through it moves lamports (and charges the payer the network fee), and deposits the tests
+// add are returned by getParsedTransaction the way an RPC node would.
+class MockConnection {
+  constructor() {
+    this.balances = new Map(); // base58 address -> lamports
+    this.parsed = new Map(); // signature -> parsed transaction
+    this.transfers = []; // { from, to, lamports, signature } in the order they were sent
+  }
+
+  fund(address, sol) {
+    this.balances.set(address.toString(), Math.round(sol * LAMPORTS_PER_SOL));
+  }
+
+  lamportsOf(address) {
+    return this.balances.get(address.toString()) || 0;
+  }
+
+  // A confirmed transfer of `sol` from `from` to `to`, or a failed one with `err`
+  addDeposit({ from, to, sol, err = null }) {
+    const signature = crypto.randomBytes(32).toString('hex');
+    this.parsed.set(signature, {
+      slot: 1,
+      meta: { err },
+      transaction: {
+        message: {
+          instructions: [{
+            program: 'system',
+            parsed: { type: 'transfer', info: { source: from, destination: to, lamports: Math.round(sol * LAMPORTS_PER_SOL) } }
+          }]
+        }
+      }
+    });
+    return signature;
+  }
+
+  async getBalance(publicKey) {
+    return this.lamportsOf(publicKey);
+  }
+
+  async getMinimumBalanceForRentExemption() {
+    return RENT_EXEMPT_LAMPORTS;
+  }
+
+  async getParsedTransaction(signature) {
+    return this.parsed.get(signature) || null;
+  }
+
+  async sendTransaction(transaction) {
+    const signature = crypto.randomBytes(32).toString('hex');
+    for (const instruction of transaction.instructions) {
+      const { fromPubkey, toPubkey, lamports } = SystemInstruction.decodeTransfer(instruction);
+      const from = fromPubkey.toBase58();
+      const to = toPubkey.toBase58();
+      const amount = Number(lamports);
+      if (this.lamportsOf(from) < amount + FEE_LAMPORTS) throw new Error('Insufficient funds');
+
+      this.balances.set(from, this.lamportsOf(from) - amount - FEE_LAMPORTS);
+      this.balances.set(to, this.lamportsOf(to) + amount);
+      this.transfers.push({ from, to, lamports: amount, signature });
+    }
+    return signature;
+  }
+
+  async confirmTransaction() {
+    return { value: { err: null } };
+  }
+}
+
+function createSolanaService(connection = new MockConnection(), options = {}) {
+  const custody = new KeyCustody({ masterKey: crypto.randomBytes(32).toString('hex') });
+  // Keep the signing audit off disk
+  custody.audit = () => {};
+  return new SolanaService({ connection, custody, ...options });
+}
+
+function wallet() {
+  return Keypair.generate().publicKey.toBase58();
+}
+
+const lamports = sol => Math.round(sol * LAMPORTS_PER_SOL);
+
+export { MockConnection, createSolanaService, wallet, lamports, FEE_LAMPORTS };
@@ -0,0 +1,62 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileListStore, SharedListStore } from '../listStore.js';
+import { MemorySharedState } from '../sharedState.js';
+import { FeeLedger } from '../feeLedger.js';
+import { AuditLog } from '../auditLog.js';
+
+describe('FileListStore', () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'list-store-'));
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('reads an empty list before anything is appended', async () => {
+    assert.deepEqual(await new FileListStore(path.join(directory, 'missing.jsonl')).readAll(), []);
+  });
+
+  it('keeps entries in the order they were appended, across restarts', async () => {
+    const filePath = path.join(directory, 'entries.jsonl');
+    const list = new FileListStore(filePath);
+
+    await Promise.all([list.append({ n: 1 }), list.append({ n: 2 }), list.append({ n: 3 })]);
+
+    assert.deepEqual(await new FileListStore(filePath).readAll(), [{ n: 1 }, { n: 2 }, { n: 3 }]);
+  });
+});
+
+describe('SharedListStore', () => {
+  it('lets every instance read what any of them appended', async () => {
+    const sharedState = new MemorySharedState();
+    const ledgerA = new FeeLedger(new SharedListStore(sharedState, 'fees'));
+    const ledgerB = new FeeLedger(new SharedListStore(sharedState, 'fees'));
+
+    await ledgerA.record({ gameId: 'first', collectedAt: 1, rake: 0.01 });
+    await ledgerB.record({ gameId: 'second', collectedAt: 2, rake: 0.02 });
+
+    assert.deepEqual((await ledgerA.query({ from: 2 })).map(entry => entry.gameId), ['second']);
+    assert.equal((await ledgerB.query()).length, 2);
+  });
+});
+
+describe('AuditLog', () => {
+  it('lists entries newest first, filtered by action and paged', async () => {
+    const audit = new AuditLog();
+    for (const [at, action] of [[1, 'ban'], [2, 'forceEnd'], [3, 'ban'], [4, 'ban']]) {
+      await audit.record({ at, action });
+    }
+
+    const { total, entries } = await audit.list({ action: 'ban', limit: 2, offset: 1 });
+
+    assert.equal(total, 3);
+    assert.deepEqual(entries.map(entry => entry.at), [3, 1]);
+  });
+});
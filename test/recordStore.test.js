@@ -0,0 +1,85 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MemoryRecordStore, FileRecordStore, SharedRecordStore } from '../recordStore.js';
+import { MemorySharedState } from '../sharedState.js';
+
+const game = (id, phase = 'gameplay') => ({ id, state: { phase, revealedFields: [[false, true]] }, deposits: { alice: { amount: 0.1 } } });
+
+describe('MemoryRecordStore', () => {
+  it('saves, replaces and deletes games by id', async () => {
+    const store = new MemoryRecordStore();
+
+    await store.save(game('a'));
+    await store.save(game('b'));
+    await store.save(game('a', 'settling'));
+    await store.delete('b');
+
+    assert.deepEqual(await store.loadAll(), [game('a', 'settling')]);
+    assert.deepEqual(await store.load('a'), game('a', 'settling'));
+    assert.equal(await store.load('b'), null);
+  });
+
+  it('hands out copies, so later changes to a game only land when it is saved again', async () => {
+    const store = new MemoryRecordStore();
+    const saved = game('a');
+    await store.save(saved);
+
+    saved.state.phase = 'ended';
+    const [loaded] = await store.loadAll();
+    loaded.deposits.alice.amount = 5;
+
+    assert.deepEqual(await store.loadAll(), [game('a')]);
+  });
+});
+
+describe('FileRecordStore', () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'record-store-'));
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('starts empty when the file does not exist yet', async () => {
+    assert.deepEqual(await new FileRecordStore(path.join(directory, 'missing.json')).loadAll(), []);
+  });
+
+  it('keeps games across instances, as after a restart', async () => {
+    const filePath = path.join(directory, 'games.json');
+    const store = new FileRecordStore(filePath);
+    await store.save(game('a'));
+    await store.save(game('b'));
+    await store.delete('a');
+
+    const restarted = new FileRecordStore(filePath);
+
+    assert.deepEqual(await restarted.loadAll(), [game('b')]);
+    await assert.rejects(fs.access(`${filePath}.tmp`));
+  });
+});
+
+describe('SharedRecordStore', () => {
+  it('announces writes by id to the other instances only', async () => {
+    const sharedState = new MemorySharedState();
+    const a = new SharedRecordStore(sharedState, 'a', 'players');
+    const b = new SharedRecordStore(sharedState, 'b', 'players');
+    const seenByA = [];
+    const seenByB = [];
+    await a.onChange(change => seenByA.push(change));
+    await b.onChange(change => seenByB.push(change));
+
+    await a.save({ id: 'alice', rating: 1200 });
+    await a.delete('alice');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(seenByA, []);
+    assert.deepEqual(seenByB.map(({ type, id }) => ({ type, id })), [{ type: 'saved', id: 'alice' }, { type: 'deleted', id: 'alice' }]);
+    assert.equal(await b.load('alice'), null);
+  });
+});
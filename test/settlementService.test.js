@@ -0,0 +1,167 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameManager } from '../gameManager.js';
+import { SettlementService } from '../settlementService.js';
+import { FeePolicy } from '../feePolicy.js';
+import { MockConnection, createSolanaService, wallet, lamports } from './helpers.js';
+
+describe('SettlementService', () => {
+  let connection;
+  let solana;
+  let treasury;
+  let gameManager;
+  let settlement;
+
+  // A staked game with every seat taken and every deposit in its wallet
+  async function startStakedGame(players, { betAmount = 0.1, payoutRule } = {}) {
+    const gameWallet = await solana.createGameWallet();
+    const game = gameManager.createGame({
+      size: '5x5',
+      bombs: 3,
+      maxPlayers: players.length,
+      payoutRule,
+      betAmount,
+      creator: players[0],
+      gameWallet: gameWallet.publicKey,
+      gameWalletKey: gameWallet.encryptedSecret
+    });
+
+    for (const playerId of players) {
+      gameManager.recordDeposit(game.id, playerId, { signature: `deposit-${playerId}`, amount: betAmount });
+    }
+    for (const playerId of players.slice(1)) {
+      gameManager.joinGame(game.id, playerId);
+    }
+    connection.fund(gameWallet.publicKey, betAmount * players.length);
+    return game;
+  }
+
+  const sentTo = address => connection.transfers.filter(transfer => transfer.to === address);
+
+  beforeEach(() => {
+    // Stops the placement timer and the cleanup after a game ends from holding the test open
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    connection = new MockConnection();
+    solana = createSolanaService(connection);
+    treasury = wallet();
+    gameManager = new GameManager({ feePolicy: new FeePolicy({ percent: 5, minimum: 0, treasury, networkFeeLamports: 5000 }) });
+    settlement = new SettlementService(gameManager, solana, { maxAttempts: 3 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('collects the house fee first and lets the winner\'s payout empty the wallet', async () => {
+    const [alice, bob] = [wallet(), wallet()];
+    const game = await startStakedGame([alice, bob]);
+
+    gameManager.finishGame(game.id, alice, 'test');
+    assert.equal(await settlement.settle(game.id), 'paid');
+
+    assert.deepEqual(connection.transfers.map(transfer => transfer.to), [treasury, alice]);
+    assert.equal(sentTo(treasury)[0].lamports, lamports(0.01));
+    assert.equal(sentTo(alice)[0].lamports, lamports(game.payout.amount));
+    assert.equal(connection.lamportsOf(game.gameWallet), 0);
+    assert.equal(game.status, 'completed');
+  });
+
+  it('splits a payout table in whole lamports and pays the largest share last', async () => {
+    const [alice, bob, carol] = [wallet(), wallet(), wallet()];
+    const game = await startStakedGame([alice, bob, carol], { betAmount: 0.1, payoutRule: 'top-two' });
+    // Carol went out first, so Bob finished second
+    game.state.eliminated = [carol, bob];
+
+    gameManager.finishGame(game.id, alice, 'test');
+    const shares = game.payout.shares.map(share => lamports(share.amount));
+    assert.equal(shares.reduce((sum, share) => sum + share, 0), lamports(game.payout.amount));
+    assert.ok(shares.every(Number.isInteger));
+
+    assert.equal(await settlement.settle(game.id), 'paid');
+    assert.deepEqual(connection.transfers.map(transfer => transfer.to), [treasury, bob, alice]);
+    assert.equal(sentTo(carol).length, 0);
+    assert.equal(connection.lamportsOf(game.gameWallet), 0);
+  });
+
+  it('refunds a deposit that never got a seat before paying out', async () => {
+    const [alice, bob, latecomer] = [wallet(), wallet(), wallet()];
+    const game = await startStakedGame([alice, bob]);
+    gameManager.recordDeposit(game.id, latecomer, { signature: 'deposit-latecomer', amount: 0.1 });
+    connection.fund(game.gameWallet, 0.3);
+
+    gameManager.finishGame(game.id, alice, 'test');
+    assert.equal(await settlement.settle(game.id), 'paid');
+
+    assert.equal(connection.transfers[0].to, latecomer);
+    assert.equal(sentTo(latecomer)[0].lamports, lamports(0.1));
+    assert.ok(game.deposits[latecomer].refundSignature);
+    assert.equal(connection.lamportsOf(game.gameWallet), 0);
+  });
+
+  it('refunds every deposit of a game that ended without a winner', async () => {
+    const [alice, bob] = [wallet(), wallet()];
+    const game = await startStakedGame([alice, bob]);
+
+    gameManager.finishGame(game.id, null, 'test');
+    assert.equal(await settlement.settle(game.id), 'refunded');
+
+    assert.deepEqual(connection.transfers.map(transfer => transfer.to).sort(), [alice, bob].sort());
+    assert.equal(sentTo(treasury).length, 0);
+    assert.equal(connection.lamportsOf(game.gameWallet), 0);
+    assert.equal(game.status, 'refunded');
+  });
+
+  it('refunds a player who left before the start at once, and not again when the game is cancelled', async () => {
+    const [alice, bob] = [wallet(), wallet()];
+    const gameWallet = await solana.createGameWallet();
+    const game = gameManager.createGame({
+      size: '5x5',
+      bombs: 3,
+      maxPlayers: 3,
+      betAmount: 0.1,
+      creator: alice,
+      gameWallet: gameWallet.publicKey,
+      gameWalletKey: gameWallet.encryptedSecret
+    });
+    gameManager.recordDeposit(game.id, alice, { signature: 'deposit-alice', amount: 0.1 });
+    gameManager.recordDeposit(game.id, bob, { signature: 'deposit-bob', amount: 0.1 });
+    gameManager.joinGame(game.id, bob);
+    connection.fund(gameWallet.publicKey, 0.2);
+
+    gameManager.exitGame(game.id, bob);
+    await settlement.refundLeaver(game.id, bob);
+
+    assert.equal(game.state.phase, 'waiting');
+    assert.equal(sentTo(bob)[0].lamports, lamports(0.1));
+
+    gameManager.exitGame(game.id, alice);
+    assert.equal(await settlement.settle(game.id), 'refunded');
+    assert.deepEqual(connection.transfers.map(transfer => transfer.to), [bob, alice]);
+    assert.equal(connection.lamportsOf(game.gameWallet), 0);
+  });
+
+  it('retries a failed transfer without sending the fee twice', async () => {
+    const [alice, bob] = [wallet(), wallet()];
+    const game = await startStakedGame([alice, bob]);
+    gameManager.finishGame(game.id, alice, 'test');
+
+    // The fee goes through, the payout does not
+    const send = connection.sendTransaction.bind(connection);
+    connection.sendTransaction = async transaction => {
+      if (connection.transfers.length === 1) {
+        connection.sendTransaction = send;
+        throw new Error('Blockhash not found');
+      }
+      return send(transaction);
+    };
+
+    assert.equal(await settlement.settle(game.id), 'pending');
+    assert.equal(game.settlement.attempts, 1);
+    assert.match(game.settlement.lastError, /Blockhash not found/);
+
+    assert.equal(await settlement.settle(game.id), 'paid');
+    assert.equal(sentTo(treasury).length, 1);
+    assert.equal(sentTo(alice).length, 1);
+    assert.equal(connection.lamportsOf(game.gameWallet), 0);
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemorySharedState } from '../sharedState.js';
+import { SharedDepositRegistry } from '../depositRegistry.js';
+import { MockConnection, createSolanaService, wallet, lamports, FEE_LAMPORTS } from './helpers.js';
+
+describe('SolanaService.verifyDeposit', () => {
+  let connection;
+  let solana;
+  let player;
+  let gameWallet;
+
+  beforeEach(() => {
+    connection = new MockConnection();
+    solana = createSolanaService(connection);
+    player = wallet();
+    gameWallet = wallet();
+  });
+
+  it('accepts a confirmed transfer of the exact stake to the game wallet', async () => {
+    const signature = connection.addDeposit({ from: player, to: gameWallet, sol: 0.1 });
+
+    const deposit = await solana.verifyDeposit(signature, player, gameWallet, 0.1);
+
+    assert.deepEqual(
+      { signature: deposit.signature, amount: deposit.amount, from: deposit.from, to: deposit.to },
+      { signature, amount: 0.1, from: player, to: gameWallet }
+    );
+  });
+
+  it('rejects a signature that was already used', async () => {
+    const signature = connection.addDeposit({ from: player, to: gameWallet, sol: 0.1 });
+    await solana.verifyDeposit(signature, player, gameWallet, 0.1);
+
+    await assert.rejects(solana.verifyDeposit(signature, player, gameWallet, 0.1), /already used/);
+  });
+
+  it('rejects a transfer of a different amount', async () => {
+    const signature = connection.addDeposit({ from: player, to: gameWallet, sol: 0.09 });
+
+    await assert.rejects(solana.verifyDeposit(signature, player, gameWallet, 0.1), /exactly 0.1 SOL/);
+  });
+
+  it('rejects a transfer to another wallet or from another player', async () => {
+    const elsewhere = connection.addDeposit({ from: player, to: wallet(), sol: 0.1 });
+    const someoneElse = connection.addDeposit({ from: wallet(), to: gameWallet, sol: 0.1 });
+
+    await assert.rejects(solana.verifyDeposit(elsewhere, player, gameWallet, 0.1), /does not transfer to the game wallet/);
+    await assert.rejects(solana.verifyDeposit(someoneElse, player, gameWallet, 0.1), /does not transfer to the game wallet/);
+  });
+
+  it('rejects a failed or unknown transaction', async () => {
+    const failed = connection.addDeposit({ from: player, to: gameWallet, sol: 0.1, err: { InstructionError: [0, 'Custom'] } });
+
+    await assert.rejects(solana.verifyDeposit(failed, player, gameWallet, 0.1), /failed on-chain/);
+    await assert.rejects(solana.verifyDeposit('missing', player, gameWallet, 0.1), /not found/);
+  });
+
+  it('does not burn the signature of a rejected deposit', async () => {
+    const signature = connection.addDeposit({ from: player, to: gameWallet, sol: 0.1 });
+    await assert.rejects(solana.verifyDeposit(signature, player, wallet(), 0.1));
+
+    const deposit = await solana.verifyDeposit(signature, player, gameWallet, 0.1);
+    assert.equal(deposit.signature, signature);
+  });
+
+  it('credits a deposit on one instance only when both verify it at once', async () => {
+    const sharedState = new MemorySharedState();
+    const other = createSolanaService(connection, { depositRegistry: new SharedDepositRegistry(sharedState, 'b') });
+    solana = createSolanaService(connection, { depositRegistry: new SharedDepositRegistry(sharedState, 'a') });
+    const signature = connection.addDeposit({ from: player, to: gameWallet, sol: 0.1 });
+
+    const results = await Promise.allSettled([solana, other].map(service => service.verifyDeposit(signature, player, gameWallet, 0.1)));
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    await assert.rejects(solana.verifyDeposit(signature, player, gameWallet, 0.1), /already used/);
+  });
+});
+
+describe('SolanaService transfers out of a game wallet', () => {
+  let connection;
+  let solana;
+  let gameWallet;
+
+  beforeEach(async () => {
+    connection = new MockConnection();
+    solana = createSolanaService(connection);
+    gameWallet = await solana.createGameWallet();
+    connection.fund(gameWallet.publicKey, 0.2);
+  });
+
+  it('sends the requested amount and pays the network fee from the wallet', async () => {
+    const player = wallet();
+
+    const payout = await solana.payoutWinner(gameWallet.encryptedSecret, player, 0.1, 'game-1');
+
+    assert.equal(payout.amount, 0.1);
+    assert.equal(connection.lamportsOf(player), lamports(0.1));
+    assert.equal(connection.lamportsOf(gameWallet.publicKey), lamports(0.1) - FEE_LAMPORTS);
+  });
+
+  it('empties the wallet on a sweep, whatever the requested amount', async () => {
+    const player = wallet();
+
+    const payout = await solana.payoutWinner(gameWallet.encryptedSecret, player, 0.15, 'game-1', { sweep: true });
+
+    assert.equal(payout.amount, (lamports(0.2) - FEE_LAMPORTS) / 1e9);
+    assert.equal(connection.lamportsOf(gameWallet.publicKey), 0);
+  });
+
+  it('refuses a transfer that would strand less than the rent-exempt minimum', async () => {
+    // 0.2 SOL less the fee, less 1000 lamports
+    const amount = (lamports(0.2) - FEE_LAMPORTS - 1000) / 1e9;
+
+    await assert.rejects(
+      solana.refundDeposit(gameWallet.encryptedSecret, wallet(), amount, 'game-1'),
+      /below the rent-exempt minimum/
+    );
+    assert.equal(connection.transfers.length, 0);
+  });
+
+  it('never sends more than the wallet holds', async () => {
+    const player = wallet();
+
+    const refund = await solana.refundDeposit(gameWallet.encryptedSecret, player, 5, 'game-1');
+
+    assert.equal(connection.lamportsOf(player), lamports(0.2) - FEE_LAMPORTS);
+    assert.equal(refund.amount, (lamports(0.2) - FEE_LAMPORTS) / 1e9);
+  });
+});
@@ -0,0 +1,771 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { MemoryRecordStore, FileRecordStore, SharedRecordStore } from './recordStore.js';
+import { FeePolicy } from './feePolicy.js';
+import { splitLamports } from './gameManager.js';
+import { collectHouseFee } from './settlementService.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'tournaments' });
+
+const FORMATS = ['single-elimination', 'swiss'];
+
+// Amounts are kept to whole lamports
+const toSol = value => Math.round(value * 1e9) / 1e9;
+
+// Seed order of a single-elimination bracket of `size` slots (a power of two), arranged so the
+// top seeds can only meet in the late rounds: 1 v 8, 4 v 5, 2 v 7, 3 v 6 for eight slots
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const slots = order.length * 2;
+    order = order.flatMap(seed => [seed, slots + 1 - seed]);
+  }
+  return order;
+}
+
+// Scheduled tournaments with a shared prize pool. Players register and pay the entry fee into
+// the tournament's own wallet; at the start time the entrants are seeded by rating and the
+// bracket is played out round by round:
+//   single-elimination  winners advance until one is left; byes go to the top seeds
+//   swiss               `swissRounds` rounds, each pairing players with equal points who have not
+//                       met yet; standings by points, then Buchholz (opponents' points), then seed
+//
+// Every match waits for both players to check in before its game is created through
+// GameManager. Whoever has not checked in when the window closes forfeits; when neither
+// shows up the better seed advances (elimination) or both score nothing (swiss). Match games
+// carry no stake of their own (see GameManager.isStaked) and report back through 'gameEnded'.
+//
+// When the last round is over the pool, less the house fee, is paid to the top finishers
+// according to the tournament's payout table. Players tied on a place (the losers of one
+// elimination round) split the shares of the places they cover. A tournament that never gets
+// enough entrants is cancelled and every entry fee refunded.
+//
+// Tournaments are persisted with the record stores and hosted by one process at a time.
+// In a cluster they live in the shared store and the instance holding the 'tournaments' role
+// hosts them (start/stop follow the role's lease); the others keep read-only replicas
+// through refreshReplica() and hand results of matches they ran over with 'matchResult'.
+//
+// Emits:
+//   tournamentUpdated { tournament }
+//   matchReady        { tournamentId, match }  (players have until match.checkInEndsAt to check in)
+//   matchCreated      { tournamentId, match, gameId }  (the game exists and only the first
+//                                                      player is seated; the second seat follows
+//                                                      at once and starts the game)
+//   matchResult       { tournamentId, matchId, winners, scores }  (a match ended on an instance
+//                                                                not hosting; pass it on to
+//                                                                recordMatchResult on the host)
+class TournamentManager extends EventEmitter {
+  constructor(gameManager, solanaService, options = {}) {
+    super();
+    this.gameManager = gameManager;
+    this.solanaService = solanaService;
+    this.store = options.store || new MemoryRecordStore();
+    this.feePolicy = options.feePolicy || new FeePolicy();
+    this.feeLedger = options.feeLedger || null;
+    this.getRating = options.getRating || (() => 0);
+
+    this.checkInMs = options.checkInMs || parseInt(process.env.TOURNAMENT_CHECKIN_MS) || 2 * 60 * 1000; // 2 minutes
+    this.registrationHoldMs = options.registrationHoldMs || 5 * 60 * 1000; // 5 minutes to pay the entry fee
+    this.tickMs = options.tickMs || 5 * 1000;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.SETTLEMENT_MAX_ATTEMPTS) || 5;
+    this.retryDelayMs = options.retryDelayMs || parseInt(process.env.SETTLEMENT_RETRY_BASE_MS) || 5 * 1000;
+
+    this.tournaments = new Map();
+    this.timer = null;
+    this.hosting = false; // whether this process runs the scheduler and settlements
+    this.retryTimers = new Map(); // tournamentId -> timeout of the next settlement attempt
+    this.settling = new Set(); // tournamentIds with a settlement attempt running
+
+    gameManager.on('gameEnded', ({ gameId, winners }) => this.handleGameEnded(gameId, winners));
+  }
+
+  async load() {
+    for (const tournament of await this.store.loadAll()) {
+      this.tournaments.set(tournament.id, tournament);
+    }
+    log.info('Loaded tournaments', { tournaments: this.tournaments.size });
+  }
+
+  // Start the scheduler and pick up settlements interrupted by a restart or a handover. Runs
+  // whenever a process (re)starts hosting, which is also where wallet secrets written under a
+  // retired master key are moved onto the active one, as server.js does for game wallets.
+  start() {
+    if (this.hosting) return;
+    this.hosting = true;
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+    for (const tournament of this.tournaments.values()) {
+      this.rewrapWalletKey(tournament);
+      if (tournament.status === 'settling' && tournament.settlement.status === 'pending') {
+        this.settle(tournament.id);
+      }
+    }
+  }
+
+  stop() {
+    this.hosting = false;
+    clearInterval(this.timer);
+    this.retryTimers.forEach(timeout => clearTimeout(timeout));
+    this.retryTimers.clear();
+  }
+
+  rewrapWalletKey(tournament) {
+    try {
+      if (tournament.walletKey && this.solanaService.needsRewrap(tournament.walletKey)) {
+        tournament.walletKey = this.solanaService.rewrapGameWalletKey(tournament.walletKey);
+        this.persist(tournament);
+      }
+    } catch (error) {
+      log.error('Error rewrapping tournament wallet key', { tournamentId: tournament.id, error });
+    }
+  }
+
+  persist(tournament) {
+    this.store.save(tournament).catch(error => {
+      log.error('Error persisting tournament', { tournamentId: tournament.id, error });
+    });
+  }
+
+  // Another instance wrote a tournament (see SharedRecordStore.onChange); the host is the only
+  // writer, so only replicas need refreshing
+  async refreshReplica({ type, id: tournamentId }) {
+    if (this.hosting) return;
+
+    try {
+      if (type === 'deleted') {
+        this.tournaments.delete(tournamentId);
+        return;
+      }
+
+      const tournament = await this.store.load(tournamentId);
+      if (tournament && !this.hosting) this.tournaments.set(tournamentId, tournament);
+    } catch (error) {
+      log.error('Error refreshing tournament replica', { tournamentId, error });
+    }
+  }
+
+  changed(tournament) {
+    this.persist(tournament);
+    this.emit('tournamentUpdated', { tournament });
+  }
+
+  getTournament(tournamentId) {
+    return this.tournaments.get(tournamentId);
+  }
+
+  requireTournament(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) throw new Error('Tournament not found');
+    return tournament;
+  }
+
+  // Settings are checked by validateCreateTournament
+  async createTournament(settings) {
+    const wallet = await this.solanaService.createGameWallet();
+    const tournament = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name: settings.name,
+      format: settings.format || FORMATS[0],
+      swissRounds: settings.format === 'swiss' ? settings.swissRounds || Math.ceil(Math.log2(settings.maxPlayers)) : null,
+      entryFee: settings.entryFee,
+      minPlayers: settings.minPlayers || 2,
+      maxPlayers: settings.maxPlayers,
+      // Board and mode of every match
+      size: settings.size,
+      bombs: settings.bombs,
+      mode: settings.mode || 'single',
+      matchRounds: settings.mode === 'match' ? settings.rounds : 1,
+      payoutTable: settings.payoutTable,
+      startsAt: settings.startsAt,
+      createdAt: Date.now(),
+      // registering -> running -> settling -> completed, or settling -> cancelled for refunds
+      status: 'registering',
+      wallet: wallet.publicKey,
+      walletKey: wallet.encryptedSecret, // Encrypted by SolanaService's key custody
+      registrations: {}, // playerId -> expiry of their place while the entry fee is paid
+      // playerId -> { signature, amount, registeredAt, seed, points, buchholz, opponents, eliminatedInRound, refundSignature? }
+      entrants: {},
+      // deposit signature -> { playerId, amount, at, refundSignature } of entry fees that came too late
+      strayRefunds: {},
+      rounds: [], // [{ round, matches: [{ id, players, status, checkIn, checkInEndsAt, gameId, winner, result }] }]
+      standings: null, // [{ playerId, place, placeTo }] once the last round is over
+      payout: null, // { pot, rake, networkReserve, treasury, amount, shares: [{ playerId, amount, signature? }], feeSignature? }
+      settlement: null, // { type: 'payout' | 'refund', status, attempts, lastError, updatedAt }
+      cancelReason: null
+    };
+
+    this.tournaments.set(tournament.id, tournament);
+    this.changed(tournament);
+    log.info('Tournament created', { tournamentId: tournament.id, format: tournament.format, startsAt: tournament.startsAt });
+    return tournament;
+  }
+
+  // Hold a place for the player while they pay the entry fee
+  register(tournamentId, playerId) {
+    const tournament = this.requireTournament(tournamentId);
+    if (tournament.status !== 'registering') throw new Error('Registration is closed');
+    if (tournament.entrants[playerId]) throw new Error('Already registered');
+
+    const now = Date.now();
+    const otherHolds = Object.entries(tournament.registrations)
+      .filter(([holder, expiresAt]) => holder !== playerId && expiresAt > now).length;
+    if (Object.keys(tournament.entrants).length + otherHolds >= tournament.maxPlayers) {
+      throw new Error('Tournament is full');
+    }
+
+    tournament.registrations[playerId] = now + this.registrationHoldMs;
+    this.persist(tournament);
+    return { playerId, expiresAt: tournament.registrations[playerId] };
+  }
+
+  // Record a verified entry fee. A fee that arrives when there is no place left for it any more
+  // (registration closed, or the hold lapsed and others filled the field) is sent back, once:
+  // its signature is saved with the tournament before the refund goes out.
+  async recordEntry(tournamentId, playerId, deposit) {
+    const tournament = this.requireTournament(tournamentId);
+    if (tournament.entrants[playerId]) throw new Error('Already registered');
+    tournament.strayRefunds = tournament.strayRefunds || {};
+    const used = tournament.strayRefunds[deposit.signature] ||
+      Object.values(tournament.entrants).some(entrant => entrant.signature === deposit.signature);
+    if (used) throw new Error('Entry fee already used');
+
+    const held = tournament.registrations[playerId] !== undefined;
+    const full = Object.keys(tournament.entrants).length >= tournament.maxPlayers;
+    if (tournament.status !== 'registering' || !held || full) {
+      await this.refundStrayEntry(tournament, playerId, deposit);
+      throw new Error('Registration is closed, your entry fee is being refunded');
+    }
+
+    delete tournament.registrations[playerId];
+    tournament.entrants[playerId] = {
+      signature: deposit.signature,
+      amount: deposit.amount,
+      registeredAt: Date.now(),
+      seed: null,
+      points: 0,
+      buchholz: 0,
+      opponents: [],
+      eliminatedInRound: null
+    };
+    this.changed(tournament);
+    log.info('Tournament entry recorded', { tournamentId, playerId, signature: deposit.signature });
+    return tournament;
+  }
+
+  async refundStrayEntry(tournament, playerId, deposit) {
+    const stray = { playerId, amount: deposit.amount, at: Date.now(), refundSignature: null };
+    tournament.strayRefunds[deposit.signature] = stray;
+    await this.store.save(tournament);
+
+    this.solanaService.refundDeposit(tournament.walletKey, playerId, deposit.amount, `tournament:${tournament.id}`)
+      .then(refund => {
+        stray.refundSignature = refund.signature;
+        this.persist(tournament);
+        log.info('Stray entry fee refunded', { tournamentId: tournament.id, playerId, signature: refund.signature });
+      })
+      .catch(error => log.error('Error refunding stray entry fee, refund it by hand', { tournamentId: tournament.id, playerId, deposit, error }));
+  }
+
+  // Check the player in for their match in the current round; the game starts once both are in
+  checkIn(tournamentId, playerId) {
+    const tournament = this.requireTournament(tournamentId);
+    if (tournament.status !== 'running') throw new Error('Tournament is not running');
+
+    const match = this.currentRound(tournament).matches.find(entry => entry.players.includes(playerId));
+    if (!match) throw new Error('You have no match in this round');
+    if (match.status !== 'check-in') throw new Error('Match already started');
+
+    if (!match.checkIn.includes(playerId)) match.checkIn.push(playerId);
+    if (match.checkIn.length === match.players.length) {
+      this.launchMatch(tournament, match);
+    } else {
+      this.changed(tournament);
+    }
+    return match;
+  }
+
+  currentRound(tournament) {
+    return tournament.rounds[tournament.rounds.length - 1];
+  }
+
+  // Registration deadlines, start times and check-in windows
+  tick() {
+    const now = Date.now();
+
+    for (const tournament of this.tournaments.values()) {
+      try {
+        if (tournament.status === 'registering') {
+          // Lapsed holds linger for another hold period, so a fee sent just before the deadline
+          // still counts if there is room for it
+          for (const [playerId, expiresAt] of Object.entries(tournament.registrations)) {
+            if (expiresAt <= now - this.registrationHoldMs) delete tournament.registrations[playerId];
+          }
+          if (now >= tournament.startsAt) this.begin(tournament);
+        } else if (tournament.status === 'running') {
+          for (const match of this.currentRound(tournament).matches) {
+            if (match.status === 'check-in' && now >= match.checkInEndsAt) {
+              this.resolveNoShow(tournament, match);
+            } else if (match.status === 'playing' && !this.gameManager.getGame(match.gameId)) {
+              // The game was closed without an outcome (expired, or lost in a restart)
+              this.decideTie(tournament, match);
+            }
+          }
+        }
+      } catch (error) {
+        log.error('Error running tournament', { tournamentId: tournament.id, error });
+      }
+    }
+  }
+
+  begin(tournament) {
+    const entrants = Object.keys(tournament.entrants);
+    if (entrants.length < tournament.minPlayers) {
+      this.cancel(tournament.id, `Only ${entrants.length} of ${tournament.minPlayers} players registered`);
+      return;
+    }
+
+    // Seed by rating, earlier registration first among equals
+    entrants
+      .sort((a, b) => this.getRating(b) - this.getRating(a) ||
+        tournament.entrants[a].registeredAt - tournament.entrants[b].registeredAt)
+      .forEach((playerId, index) => { tournament.entrants[playerId].seed = index + 1; });
+
+    tournament.status = 'running';
+    tournament.registrations = {};
+    log.info('Tournament started', { tournamentId: tournament.id, entrants: entrants.length });
+    this.startRound(tournament, this.firstPairings(tournament));
+  }
+
+  seeded(tournament) {
+    return Object.keys(tournament.entrants).sort((a, b) => tournament.entrants[a].seed - tournament.entrants[b].seed);
+  }
+
+  // Pairs of players for round one; a pair with a single player is a bye
+  firstPairings(tournament) {
+    if (tournament.format === 'swiss') return this.swissPairings(tournament);
+
+    const bySeed = this.seeded(tournament);
+    const size = 2 ** Math.ceil(Math.log2(bySeed.length));
+    const slots = bracketOrder(size).map(seed => bySeed[seed - 1] || null);
+    const pairs = [];
+    for (let i = 0; i < slots.length; i += 2) {
+      pairs.push([slots[i], slots[i + 1]].filter(Boolean));
+    }
+    return pairs;
+  }
+
+  // Standings order: points, then Buchholz, then seed
+  ranked(tournament) {
+    const entrants = tournament.entrants;
+    for (const entrant of Object.values(entrants)) {
+      entrant.buchholz = entrant.opponents.reduce((sum, opponentId) => sum + entrants[opponentId].points, 0);
+    }
+    return Object.keys(entrants).sort((a, b) =>
+      entrants[b].points - entrants[a].points ||
+      entrants[b].buchholz - entrants[a].buchholz ||
+      entrants[a].seed - entrants[b].seed
+    );
+  }
+
+  // Pair down the standings, skipping opponents already met when someone else is available.
+  // With an odd field the lowest-ranked player who has not had a bye yet gets one.
+  swissPairings(tournament) {
+    const order = this.ranked(tournament);
+    const pairs = [];
+    let bye = null;
+
+    if (order.length % 2 === 1) {
+      const hadBye = playerId => tournament.rounds.some(round =>
+        round.matches.some(match => match.result === 'bye' && match.players[0] === playerId));
+      const byePlayer = [...order].reverse().find(playerId => !hadBye(playerId)) || order[order.length - 1];
+      order.splice(order.indexOf(byePlayer), 1);
+      bye = [byePlayer];
+    }
+
+    while (order.length > 0) {
+      const playerId = order.shift();
+      const met = tournament.entrants[playerId].opponents;
+      const index = order.findIndex(opponentId => !met.includes(opponentId));
+      const [opponentId] = order.splice(index === -1 ? 0 : index, 1);
+      pairs.push([playerId, opponentId]);
+    }
+    return bye ? [...pairs, bye] : pairs;
+  }
+
+  startRound(tournament, pairs) {
+    const roundNumber = tournament.rounds.length + 1;
+    const checkInEndsAt = Date.now() + this.checkInMs;
+    const round = {
+      round: roundNumber,
+      matches: pairs.map((players, index) => ({
+        id: `${roundNumber}-${index + 1}`,
+        players,
+        status: 'check-in',
+        checkIn: [],
+        checkInEndsAt,
+        gameId: null,
+        winner: null,
+        result: null
+      }))
+    };
+    tournament.rounds.push(round);
+
+    for (const match of round.matches) {
+      if (match.players.length === 2) {
+        tournament.entrants[match.players[0]].opponents.push(match.players[1]);
+        tournament.entrants[match.players[1]].opponents.push(match.players[0]);
+      }
+    }
+    log.info('Tournament round started', { tournamentId: tournament.id, round: roundNumber, matches: round.matches.length });
+
+    for (const match of round.matches) {
+      if (match.players.length === 1) {
+        this.recordResult(tournament, match, match.players[0], 'bye', false);
+      } else {
+        this.emit('matchReady', { tournamentId: tournament.id, match });
+      }
+    }
+    this.changed(tournament);
+    this.advanceIfRoundOver(tournament);
+  }
+
+  launchMatch(tournament, match) {
+    try {
+      const game = this.gameManager.createGame({
+        size: tournament.size,
+        bombs: tournament.bombs,
+        mode: tournament.mode,
+        rounds: tournament.matchRounds,
+        maxPlayers: 2,
+        creator: match.players[0],
+        tournament: { id: tournament.id, matchId: match.id }
+      });
+      match.gameId = game.id;
+      match.status = 'playing';
+      this.changed(tournament);
+
+      this.emit('matchCreated', { tournamentId: tournament.id, match, gameId: game.id });
+      this.gameManager.joinGame(game.id, match.players[1]);
+      log.info('Tournament match started', { tournamentId: tournament.id, matchId: match.id, gameId: game.id });
+    } catch (error) {
+      log.error('Error starting tournament match', { tournamentId: tournament.id, matchId: match.id, error });
+      this.decideTie(tournament, match);
+    }
+  }
+
+  resolveNoShow(tournament, match) {
+    const [present] = match.checkIn;
+    if (present) {
+      this.recordResult(tournament, match, present, 'forfeit');
+    } else if (tournament.format === 'swiss') {
+      this.recordResult(tournament, match, null, 'no-show');
+    } else {
+      this.recordResult(tournament, match, this.betterSeed(tournament, match.players), 'no-show');
+    }
+  }
+
+  betterSeed(tournament, players) {
+    return [...players].sort((a, b) => tournament.entrants[a].seed - tournament.entrants[b].seed)[0];
+  }
+
+  handleGameEnded(gameId, winners) {
+    const game = this.gameManager.getGame(gameId);
+    if (!game || !game.tournament) return;
+
+    const result = { tournamentId: game.tournament.id, matchId: game.tournament.matchId, winners, scores: game.state.scores };
+    if (!this.hosting) {
+      this.emit('matchResult', result);
+      return;
+    }
+    this.recordMatchResult(result.tournamentId, result.matchId, result.winners, result.scores);
+  }
+
+  recordMatchResult(tournamentId, matchId, winners, scores) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament || tournament.status !== 'running') return;
+    const match = this.currentRound(tournament).matches.find(entry => entry.id === matchId);
+    if (!match || match.status !== 'playing') return;
+
+    if (winners.length === 1) {
+      this.recordResult(tournament, match, winners[0], 'win');
+    } else {
+      // Co-winners of a cleared board, or a game cancelled without a winner
+      this.decideTie(tournament, match, scores);
+    }
+  }
+
+  // Swiss scores a draw; elimination needs a winner, so safe reveals decide, then the seed
+  decideTie(tournament, match, scores = {}) {
+    if (tournament.format === 'swiss') {
+      this.recordResult(tournament, match, null, 'draw');
+      return;
+    }
+
+    const [first, second] = match.players;
+    const scoreDiff = (scores[first] || 0) - (scores[second] || 0);
+    const winner = scoreDiff === 0 ? this.betterSeed(tournament, match.players) : (scoreDiff > 0 ? first : second);
+    this.recordResult(tournament, match, winner, 'tiebreak');
+  }
+
+  recordResult(tournament, match, winner, result, advance = true) {
+    match.status = 'done';
+    match.winner = winner;
+    match.result = result;
+
+    const round = this.currentRound(tournament).round;
+    for (const playerId of match.players) {
+      const entrant = tournament.entrants[playerId];
+      if (result === 'draw') {
+        entrant.points += 0.5;
+      } else if (playerId === winner) {
+        entrant.points += 1;
+      } else if (tournament.format === 'single-elimination') {
+        entrant.eliminatedInRound = round;
+      }
+    }
+
+    log.info('Tournament match decided', { tournamentId: tournament.id, matchId: match.id, winner, result });
+    if (!advance) return;
+    this.changed(tournament);
+    this.advanceIfRoundOver(tournament);
+  }
+
+  advanceIfRoundOver(tournament) {
+    const round = this.currentRound(tournament);
+    if (tournament.status !== 'running' || round.matches.some(match => match.status !== 'done')) return;
+
+    if (tournament.format === 'swiss') {
+      if (round.round < tournament.swissRounds) {
+        this.startRound(tournament, this.swissPairings(tournament));
+      } else {
+        this.finish(tournament);
+      }
+      return;
+    }
+
+    const winners = round.matches.map(match => match.winner);
+    if (winners.length === 1) {
+      this.finish(tournament);
+      return;
+    }
+    const pairs = [];
+    for (let i = 0; i < winners.length; i += 2) {
+      pairs.push([winners[i], winners[i + 1]]);
+    }
+    this.startRound(tournament, pairs);
+  }
+
+  // Final places: one per player in swiss; in elimination everyone knocked out in the same
+  // round shares a place range, e.g. both losing semi-finalists are 3rd-4th
+  computeStandings(tournament) {
+    if (tournament.format === 'swiss') {
+      return this.ranked(tournament).map((playerId, index) => ({ playerId, place: index + 1, placeTo: index + 1 }));
+    }
+
+    const champion = this.currentRound(tournament).matches[0].winner;
+    const standings = [{ playerId: champion, place: 1, placeTo: 1 }];
+    for (let round = tournament.rounds.length; round >= 1; round--) {
+      const knockedOut = Object.keys(tournament.entrants)
+        .filter(playerId => tournament.entrants[playerId].eliminatedInRound === round);
+      const place = standings.length + 1;
+      knockedOut.forEach(playerId => standings.push({ playerId, place, placeTo: place + knockedOut.length - 1 }));
+    }
+    return standings;
+  }
+
+  // Each finisher's fraction of the distributable pool. Places nobody finished in (a smaller
+  // field than the table) are left out and the rest of the table scaled up to cover the pool.
+  payoutFractions(tournament, standings) {
+    const table = tournament.payoutTable;
+    const fractions = standings.map(({ playerId, place, placeTo }) => {
+      let share = 0;
+      for (let index = place - 1; index < placeTo && index < table.length; index++) share += table[index];
+      return { playerId, fraction: share / (placeTo - place + 1) };
+    }).filter(entry => entry.fraction > 0);
+
+    const total = fractions.reduce((sum, entry) => sum + entry.fraction, 0);
+    return fractions.map(entry => ({ playerId: entry.playerId, fraction: entry.fraction / total }));
+  }
+
+  finish(tournament) {
+    tournament.standings = this.computeStandings(tournament);
+    const fractions = this.payoutFractions(tournament, tournament.standings);
+
+    const pot = toSol(Object.values(tournament.entrants).reduce((sum, entrant) => sum + entrant.amount, 0));
+    const fees = this.feePolicy.apply(pot, fractions.length);
+    tournament.payout = {
+      pot,
+      rake: fees.rake,
+      networkReserve: fees.networkReserve,
+      treasury: fees.rake > 0 ? this.feePolicy.treasury : null,
+      amount: fees.distributable,
+      shares: splitLamports(fees.distributable, fractions.map(({ playerId, fraction }) => ({ playerId, weight: fraction })))
+    };
+    tournament.status = 'settling';
+    tournament.settlement = this.createSettlement('payout');
+    this.changed(tournament);
+
+    log.info('Tournament finished', { tournamentId: tournament.id, champion: tournament.standings[0].playerId, pot });
+    this.settle(tournament.id);
+  }
+
+  // Stop the tournament and refund every entry fee; matches still being played carry on but no
+  // longer count
+  cancel(tournamentId, reason) {
+    const tournament = this.requireTournament(tournamentId);
+    if (tournament.status !== 'registering' && tournament.status !== 'running') {
+      throw new Error('Tournament is already over');
+    }
+
+    tournament.status = 'settling';
+    tournament.cancelReason = reason || null;
+    tournament.registrations = {};
+    tournament.settlement = this.createSettlement('refund');
+    this.changed(tournament);
+
+    log.info('Tournament cancelled', { tournamentId, reason });
+    this.settle(tournamentId);
+    return tournament;
+  }
+
+  createSettlement(type) {
+    return { type, status: 'pending', attempts: 0, lastError: null, updatedAt: Date.now() };
+  }
+
+  // Pay out or refund the pool; failed attempts are retried with backoff until the attempts
+  // run out, after which an operator can start over with retrySettlement()
+  async settle(tournamentId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament || tournament.status !== 'settling' || this.settling.has(tournamentId)) return;
+    if (tournament.settlement.status !== 'pending') return;
+
+    this.settling.add(tournamentId);
+    clearTimeout(this.retryTimers.get(tournamentId));
+    this.retryTimers.delete(tournamentId);
+
+    try {
+      if (tournament.settlement.type === 'payout') {
+        await this.collectFee(tournament);
+        await this.payShares(tournament);
+      } else {
+        await this.refundEntries(tournament);
+      }
+
+      const paid = tournament.settlement.type === 'payout';
+      tournament.settlement = { ...tournament.settlement, status: paid ? 'paid' : 'refunded', lastError: null, updatedAt: Date.now() };
+      tournament.status = paid ? 'completed' : 'cancelled';
+      this.changed(tournament);
+      log.info('Tournament settled', { tournamentId, status: tournament.settlement.status });
+    } catch (error) {
+      const attempts = tournament.settlement.attempts + 1;
+      const failed = attempts >= this.maxAttempts;
+      tournament.settlement = { ...tournament.settlement, status: failed ? 'failed' : 'pending', attempts, lastError: error.message, updatedAt: Date.now() };
+      this.persist(tournament);
+
+      if (failed) {
+        log.error('Tournament settlement failed, needs manual resolution', { tournamentId, attempts, error });
+      } else {
+        const delay = this.retryDelayMs * 2 ** (attempts - 1);
+        log.error('Tournament settlement failed, retrying', { tournamentId, attempts, delay, error });
+        this.retryTimers.set(tournamentId, setTimeout(() => {
+          this.retryTimers.delete(tournamentId);
+          this.settle(tournamentId);
+        }, delay));
+      }
+    } finally {
+      this.settling.delete(tournamentId);
+    }
+  }
+
+  // Shares already sent keep their signature, so a retry never pays anyone twice. As with games
+  // (see SettlementService.payShares) the fee goes first and the shares smallest first, so the
+  // last transfer empties the wallet.
+  async payShares(tournament) {
+    const unpaid = tournament.payout.shares
+      .filter(share => !share.signature && share.amount > 0)
+      .sort((a, b) => a.amount - b.amount);
+
+    for (const [index, share] of unpaid.entries()) {
+      const sweep = index === unpaid.length - 1;
+      const payout = await this.solanaService.payoutWinner(tournament.walletKey, share.playerId, share.amount, `tournament:${tournament.id}`, { sweep });
+      share.signature = payout.signature;
+      this.persist(tournament);
+    }
+  }
+
+  collectFee(tournament) {
+    return collectHouseFee(this.solanaService, this.feeLedger, tournament.payout, {
+      walletKey: tournament.walletKey,
+      reference: `tournament:${tournament.id}`,
+      entry: { gameId: null, tournamentId: tournament.id, betAmount: tournament.entryFee, players: Object.keys(tournament.entrants).length },
+      onSent: () => this.persist(tournament),
+      persist: () => this.persist(tournament)
+    });
+  }
+
+  // Every entry is tried before giving up; only the last one left to repay empties the wallet
+  async refundEntries(tournament) {
+    const unrefunded = Object.entries(tournament.entrants).filter(([, entrant]) => !entrant.refundSignature);
+    const failures = [];
+    for (const [playerId, entrant] of unrefunded) {
+      try {
+        const sweep = unrefunded.every(([otherId, other]) => otherId === playerId || other.refundSignature);
+        const refund = await this.solanaService.refundDeposit(tournament.walletKey, playerId, entrant.amount, `tournament:${tournament.id}`, { sweep });
+        entrant.refundSignature = refund.signature;
+        this.persist(tournament);
+      } catch (error) {
+        failures.push(`${playerId}: ${error.message}`);
+      }
+    }
+    if (failures.length > 0) throw new Error(`Refund failed for ${failures.join('; ')}`);
+  }
+
+  // Operator action: start over with a fresh set of attempts
+  async retrySettlement(tournamentId) {
+    const tournament = this.requireTournament(tournamentId);
+    if (tournament.status !== 'settling') throw new Error('Tournament is not settling');
+
+    tournament.settlement = { ...tournament.settlement, status: 'pending', attempts: 0, updatedAt: Date.now() };
+    this.persist(tournament);
+    await this.settle(tournamentId);
+    return { status: tournament.status, settlement: tournament.settlement };
+  }
+
+  // What players see: everything but the wallet secret and other players' registration holds
+  publicView(tournament) {
+    const { walletKey, registrations, strayRefunds, ...view } = tournament;
+    return {
+      ...view,
+      entrants: Object.entries(tournament.entrants).map(([playerId, entrant]) => ({
+        playerId,
+        seed: entrant.seed,
+        points: entrant.points,
+        buchholz: entrant.buchholz,
+        eliminatedInRound: entrant.eliminatedInRound
+      })),
+      seatsFilled: Object.keys(tournament.entrants).length
+    };
+  }
+
+  listTournaments() {
+    return Array.from(this.tournaments.values())
+      .sort((a, b) => a.startsAt - b.startsAt)
+      .map(tournament => this.publicView(tournament));
+  }
+}
+
+function createTournamentManager(gameManager, solanaService, options = {}) {
+  if (options.sharedState) {
+    const store = new SharedRecordStore(options.sharedState, options.instanceId, 'tournaments');
+    return new TournamentManager(gameManager, solanaService, { ...options, store });
+  }
+  if (process.env.GAME_STORE === 'memory') {
+    return new TournamentManager(gameManager, solanaService, { ...options, store: new MemoryRecordStore() });
+  }
+
+  const filePath = process.env.TOURNAMENTS_PATH || './data/tournaments.json';
+  log.info('Persisting tournaments', { filePath });
+  return new TournamentManager(gameManager, solanaService, { ...options, store: new FileRecordStore(filePath) });
+}
+
+export { TournamentManager, createTournamentManager, FORMATS as TOURNAMENT_FORMATS, bracketOrder };
@@ -0,0 +1,290 @@
+import { ValidationError } from './errors.js';
+import { createBoard, parseBoardSize, BOARD_LIMITS } from './boardConfig.js';
+import { BOT_STRATEGIES, BOT_DIFFICULTIES } from './practiceBot.js';
+import { TOURNAMENT_FORMATS } from './tournamentManager.js';
+
+// Schema checks for every socket payload. Failures throw a ValidationError whose code is
+// returned to the client in the acknowledgement.
+
+const BET_AMOUNTS = [0.01, 0.05, 0.1, 0.25, 0.5, 1];
+
+const GAME_MODES = ['single', 'match'];
+// "Best of N" lengths offered for match mode
+const MATCH_ROUNDS = [3, 5, 7];
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 4;
+// How the pot is split: everything to the last survivor, or 70/30 between the last two
+const PAYOUT_RULES = ['winner-takes-all', 'top-two'];
+
+function requireObject(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ValidationError('INVALID_PAYLOAD', 'Payload must be an object');
+  }
+}
+
+function requireString(value, field) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > 256) {
+    throw new ValidationError('INVALID_PAYLOAD', `${field} must be a non-empty string`);
+  }
+}
+
+export function validateAuthVerify(data) {
+  requireObject(data);
+  requireString(data.publicKey, 'publicKey');
+  if (!data.signature) {
+    throw new ValidationError('INVALID_PAYLOAD', 'signature is required');
+  }
+}
+
+export function validateCreateGame(data) {
+  requireObject(data);
+  createBoard(data.size, data.bombs);
+
+  if (!BET_AMOUNTS.includes(data.betAmount)) {
+    throw new ValidationError('INVALID_BET_AMOUNT', `betAmount must be one of ${BET_AMOUNTS.join(', ')} SOL`);
+  }
+
+  const mode = data.mode === undefined ? 'single' : data.mode;
+  if (!GAME_MODES.includes(mode)) {
+    throw new ValidationError('INVALID_MODE', `mode must be one of ${GAME_MODES.join(', ')}`);
+  }
+  if (mode === 'match' && !MATCH_ROUNDS.includes(data.rounds)) {
+    throw new ValidationError('INVALID_ROUNDS', `rounds must be one of ${MATCH_ROUNDS.join(', ')}`);
+  }
+
+  const maxPlayers = data.maxPlayers === undefined ? MIN_PLAYERS : data.maxPlayers;
+  if (!Number.isInteger(maxPlayers) || maxPlayers < MIN_PLAYERS || maxPlayers > MAX_PLAYERS) {
+    throw new ValidationError('INVALID_PLAYER_COUNT', `maxPlayers must be between ${MIN_PLAYERS} and ${MAX_PLAYERS}`);
+  }
+  if (mode === 'match' && maxPlayers !== 2) {
+    throw new ValidationError('INVALID_PLAYER_COUNT', 'Match mode is for two players');
+  }
+
+  const payoutRule = data.payoutRule === undefined ? PAYOUT_RULES[0] : data.payoutRule;
+  if (!PAYOUT_RULES.includes(payoutRule)) {
+    throw new ValidationError('INVALID_PAYOUT_RULE', `payoutRule must be one of ${PAYOUT_RULES.join(', ')}`);
+  }
+  if (payoutRule === 'top-two' && maxPlayers < 3) {
+    throw new ValidationError('INVALID_PAYOUT_RULE', 'top-two payouts need at least three players');
+  }
+
+  if (data.private !== undefined && typeof data.private !== 'boolean') {
+    throw new ValidationError('INVALID_PAYLOAD', 'private must be a boolean');
+  }
+  if (data.invitedPlayers !== undefined) {
+    if (!data.private) {
+      throw new ValidationError('INVALID_PAYLOAD', 'invitedPlayers is only allowed for private games');
+    }
+    if (!Array.isArray(data.invitedPlayers) || data.invitedPlayers.length > maxPlayers - 1) {
+      throw new ValidationError('INVALID_PAYLOAD', `invitedPlayers must list at most ${maxPlayers - 1} wallets`);
+    }
+    data.invitedPlayers.forEach((wallet, index) => requireString(wallet, `invitedPlayers[${index}]`));
+  }
+}
+
+// Practice games take the board and mode settings of a normal game, but no bet or seats:
+// the player always faces one bot
+export function validatePracticeGame(data) {
+  requireObject(data);
+  createBoard(data.size, data.bombs);
+
+  const mode = data.mode === undefined ? 'single' : data.mode;
+  if (!GAME_MODES.includes(mode)) {
+    throw new ValidationError('INVALID_MODE', `mode must be one of ${GAME_MODES.join(', ')}`);
+  }
+  if (mode === 'match' && !MATCH_ROUNDS.includes(data.rounds)) {
+    throw new ValidationError('INVALID_ROUNDS', `rounds must be one of ${MATCH_ROUNDS.join(', ')}`);
+  }
+
+  if (data.botStrategy !== undefined && !BOT_STRATEGIES.includes(data.botStrategy)) {
+    throw new ValidationError('INVALID_BOT_STRATEGY', `botStrategy must be one of ${BOT_STRATEGIES.join(', ')}`);
+  }
+  const difficulties = Object.keys(BOT_DIFFICULTIES);
+  if (data.botDifficulty !== undefined && !difficulties.includes(data.botDifficulty)) {
+    throw new ValidationError('INVALID_BOT_DIFFICULTY', `botDifficulty must be one of ${difficulties.join(', ')}`);
+  }
+}
+
+// Queue preferences accept a single value or a list for bet and size, and a count or range for bombs
+export function validateQueueJoin(data) {
+  requireObject(data);
+
+  const betAmounts = [].concat(data.betAmount);
+  if (betAmounts.length === 0 || betAmounts.some(amount => !BET_AMOUNTS.includes(amount))) {
+    throw new ValidationError('INVALID_BET_AMOUNT', `betAmount must be one or more of ${BET_AMOUNTS.join(', ')} SOL`);
+  }
+
+  const sizes = [].concat(data.size);
+  if (sizes.length === 0) {
+    throw new ValidationError('INVALID_SIZE', 'size is required');
+  }
+  sizes.forEach(parseBoardSize);
+
+  const bombs = typeof data.bombs === 'number' ? { min: data.bombs, max: data.bombs } : data.bombs;
+  if (!bombs || typeof bombs !== 'object' || !Number.isInteger(bombs.min) || !Number.isInteger(bombs.max) ||
+      bombs.min < BOARD_LIMITS.minBombs || bombs.min > bombs.max) {
+    throw new ValidationError('INVALID_BOMB_COUNT', 'bombs must be a count or a { min, max } range');
+  }
+}
+
+// A game is joined by id, or by the invite code of a private game
+export function validateJoinGame(data) {
+  requireObject(data);
+  if (data.inviteCode !== undefined) {
+    if (typeof data.inviteCode !== 'string' || !/^[A-Za-z0-9]{8}$/.test(data.inviteCode)) {
+      throw new ValidationError('INVALID_INVITE_CODE', 'inviteCode must be 8 letters or digits');
+    }
+  } else {
+    requireString(data.gameId, 'gameId');
+  }
+  if (typeof data.betAmount !== 'number' || !(data.betAmount > 0)) {
+    throw new ValidationError('INVALID_BET_AMOUNT', 'betAmount must be a positive number');
+  }
+}
+
+export function validateSpectate(data) {
+  requireObject(data);
+  requireString(data.gameId, 'gameId');
+  if (data.inviteCode !== undefined && typeof data.inviteCode !== 'string') {
+    throw new ValidationError('INVALID_INVITE_CODE', 'inviteCode must be a string');
+  }
+}
+
+export function validateConfirmDeposit(data) {
+  requireObject(data);
+  requireString(data.gameId, 'gameId');
+  requireString(data.signature, 'signature');
+}
+
+export function validateGameId(data) {
+  requireObject(data);
+  requireString(data.gameId, 'gameId');
+}
+
+export function validateTournamentId(data) {
+  requireObject(data);
+  requireString(data.tournamentId, 'tournamentId');
+}
+
+export function validateTournamentEntry(data) {
+  validateTournamentId(data);
+  requireString(data.signature, 'signature');
+}
+
+// Layout must match the game's grid and contain exactly game.bombs mines
+export function validateBombPlacement(data, game) {
+  requireObject(data);
+  requireString(data.gameId, 'gameId');
+  requireString(data.salt, 'salt');
+  if (typeof data.commitment !== 'string' || !/^[0-9a-fA-F]{64}$/.test(data.commitment)) {
+    throw new ValidationError('INVALID_PAYLOAD', 'commitment must be a sha256 hex digest');
+  }
+
+  const { width, height } = game.board;
+  const { bombs } = data;
+  if (!Array.isArray(bombs) || bombs.length !== width ||
+      bombs.some(column => !Array.isArray(column) || column.length !== height || column.some(cell => cell !== 0 && cell !== 1))) {
+    throw new ValidationError('INVALID_LAYOUT', `bombs must be a ${width}x${height} grid of 0 and 1, indexed bombs[x][y]`);
+  }
+
+  const mineCount = bombs.reduce((sum, column) => sum + column.reduce((columnSum, cell) => columnSum + cell, 0), 0);
+  if (mineCount !== game.board.bombs) {
+    throw new ValidationError('INVALID_BOMB_COUNT', `Exactly ${game.board.bombs} bombs must be placed`);
+  }
+}
+
+export function validateReveal(data, game) {
+  requireObject(data);
+  requireString(data.gameId, 'gameId');
+
+  const { width, height } = game.board;
+  const inBounds = (value, size) => Number.isInteger(value) && value >= 0 && value < size;
+  if (!inBounds(data.x, width) || !inBounds(data.y, height)) {
+    throw new ValidationError('INVALID_COORDINATES', `x must be 0-${width - 1} and y must be 0-${height - 1}`);
+  }
+}
+
+// Admin request bodies
+
+export function validateForceEnd(data) {
+  requireObject(data);
+  if (data.outcome !== 'refund' && data.outcome !== 'winners') {
+    throw new ValidationError('INVALID_OUTCOME', 'outcome must be refund or winners');
+  }
+  if (data.outcome === 'winners') {
+    if (!Array.isArray(data.winners) || data.winners.length === 0) {
+      throw new ValidationError('INVALID_PAYLOAD', 'winners must list at least one player');
+    }
+    data.winners.forEach((playerId, index) => requireString(playerId, `winners[${index}]`));
+  }
+}
+
+export function validateWalletBan(data) {
+  requireObject(data);
+  requireString(data.wallet, 'wallet');
+  if (data.reason !== undefined) requireString(data.reason, 'reason');
+  if (data.durationMs !== undefined && !(Number.isInteger(data.durationMs) && data.durationMs > 0)) {
+    throw new ValidationError('INVALID_PAYLOAD', 'durationMs must be a positive integer');
+  }
+}
+
+const NOTICE_LEVELS = ['info', 'warning', 'critical'];
+
+export function validateNotice(data) {
+  requireObject(data);
+  if (typeof data.message !== 'string' || data.message.trim().length === 0 || data.message.length > 500) {
+    throw new ValidationError('INVALID_PAYLOAD', 'message must be 1-500 characters');
+  }
+  if (data.level !== undefined && !NOTICE_LEVELS.includes(data.level)) {
+    throw new ValidationError('INVALID_PAYLOAD', `level must be one of ${NOTICE_LEVELS.join(', ')}`);
+  }
+}
+
+const TOURNAMENT_PLAYERS = { min: 2, max: 64 };
+
+export function validateCreateTournament(data) {
+  requireObject(data);
+  requireString(data.name, 'name');
+  createBoard(data.size, data.bombs);
+
+  const format = data.format === undefined ? TOURNAMENT_FORMATS[0] : data.format;
+  if (!TOURNAMENT_FORMATS.includes(format)) {
+    throw new ValidationError('INVALID_FORMAT', `format must be one of ${TOURNAMENT_FORMATS.join(', ')}`);
+  }
+  if (data.swissRounds !== undefined && (format !== 'swiss' || !Number.isInteger(data.swissRounds) || data.swissRounds < 1 || data.swissRounds > 15)) {
+    throw new ValidationError('INVALID_ROUNDS', 'swissRounds must be between 1 and 15, for swiss tournaments only');
+  }
+
+  const mode = data.mode === undefined ? 'single' : data.mode;
+  if (!GAME_MODES.includes(mode)) {
+    throw new ValidationError('INVALID_MODE', `mode must be one of ${GAME_MODES.join(', ')}`);
+  }
+  if (mode === 'match' && !MATCH_ROUNDS.includes(data.rounds)) {
+    throw new ValidationError('INVALID_ROUNDS', `rounds must be one of ${MATCH_ROUNDS.join(', ')}`);
+  }
+
+  if (!BET_AMOUNTS.includes(data.entryFee)) {
+    throw new ValidationError('INVALID_BET_AMOUNT', `entryFee must be one of ${BET_AMOUNTS.join(', ')} SOL`);
+  }
+
+  const { min, max } = TOURNAMENT_PLAYERS;
+  if (!Number.isInteger(data.maxPlayers) || data.maxPlayers < min || data.maxPlayers > max) {
+    throw new ValidationError('INVALID_PLAYER_COUNT', `maxPlayers must be between ${min} and ${max}`);
+  }
+  if (data.minPlayers !== undefined && (!Number.isInteger(data.minPlayers) || data.minPlayers < min || data.minPlayers > data.maxPlayers)) {
+    throw new ValidationError('INVALID_PLAYER_COUNT', `minPlayers must be between ${min} and maxPlayers`);
+  }
+
+  // Fractions of the pool for 1st, 2nd, ... place
+  const table = data.payoutTable;
+  if (!Array.isArray(table) || table.length === 0 || table.length > data.maxPlayers ||
+      table.some(share => typeof share !== 'number' || !(share > 0)) ||
+      Math.abs(table.reduce((sum, share) => sum + share, 0) - 1) > 1e-9) {
+    throw new ValidationError('INVALID_PAYOUT_TABLE', 'payoutTable must list positive shares per place that add up to 1');
+  }
+
+  if (!Number.isInteger(data.startsAt) || data.startsAt <= Date.now()) {
+    throw new ValidationError('INVALID_PAYLOAD', 'startsAt must be a future timestamp in milliseconds');
+  }
+}
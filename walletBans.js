@@ -0,0 +1,92 @@
+import { MemoryRecordStore, FileRecordStore, SharedRecordStore } from './recordStore.js';
+import { RateLimitError } from './errors.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'walletBans' });
+
+// Wallets an admin has barred from creating or joining games. Unlike rate limiter bans they
+// do not stop the wallet from signing in, watching games or finishing the games it is in.
+//
+// Ban records ({ id: wallet, reason, bannedAt, bannedUntil, bannedBy }) are keyed by `id`,
+// so they are persisted with the record stores.
+class WalletBans {
+  constructor(store = new MemoryRecordStore()) {
+    this.store = store;
+    this.bans = new Map(); // wallet -> ban record
+  }
+
+  async load() {
+    for (const ban of await this.store.loadAll()) {
+      this.bans.set(ban.id, ban);
+    }
+
+    // In a cluster, bans placed through another instance apply here too
+    if (this.store.onChange) {
+      await this.store.onChange(({ type, id }) => this.refresh(type, id));
+    }
+  }
+
+  async refresh(type, wallet) {
+    if (type === 'deleted') {
+      this.bans.delete(wallet);
+      return;
+    }
+    const ban = await this.store.load(wallet);
+    if (ban) this.bans.set(wallet, ban);
+  }
+
+  // durationMs omitted or 0 bans the wallet until it is unbanned
+  async ban(wallet, { reason = null, durationMs = 0, bannedBy = null } = {}) {
+    const now = Date.now();
+    const ban = { id: wallet, reason, bannedAt: now, bannedUntil: durationMs ? now + durationMs : null, bannedBy };
+
+    this.bans.set(wallet, ban);
+    await this.store.save(ban);
+    log.info('Wallet banned', { playerId: wallet, bannedUntil: ban.bannedUntil, reason });
+    return ban;
+  }
+
+  // Returns false when the wallet was not banned
+  async unban(wallet) {
+    if (!this.bans.delete(wallet)) return false;
+    await this.store.delete(wallet);
+    log.info('Wallet unbanned', { playerId: wallet });
+    return true;
+  }
+
+  getBan(wallet) {
+    const ban = this.bans.get(wallet);
+    if (!ban) return null;
+    if (ban.bannedUntil && ban.bannedUntil <= Date.now()) return null;
+    return ban;
+  }
+
+  list() {
+    return Array.from(this.bans.keys())
+      .map(wallet => this.getBan(wallet))
+      .filter(Boolean)
+      .sort((a, b) => b.bannedAt - a.bannedAt);
+  }
+
+  assertAllowed(wallet) {
+    const ban = this.getBan(wallet);
+    if (ban) {
+      throw new RateLimitError('WALLET_BANNED', 'This wallet is banned from playing', { bannedUntil: ban.bannedUntil });
+    }
+  }
+}
+
+function createWalletBans(options = {}) {
+  if (options.sharedState) {
+    return new WalletBans(new SharedRecordStore(options.sharedState, options.instanceId, 'bans'));
+  }
+  if (process.env.GAME_STORE === 'memory') {
+    return new WalletBans(new MemoryRecordStore());
+  }
+
+  const filePath = process.env.WALLET_BANS_PATH || './data/bans.json';
+  log.info('Persisting wallet bans', { filePath });
+  return new WalletBans(new FileRecordStore(filePath));
+}
+
+export { WalletBans, createWalletBans };